@@ -0,0 +1,96 @@
+#!/usr/bin/env node
+
+import dotenv from 'dotenv';
+import { createStorage } from '../src/storage/storageFactory.js';
+import { acquireRunLock, releaseRunLock } from '../src/utils/runLock.js';
+import { splitLegacySyncStateFile } from '../src/utils/syncStateManager.js';
+
+dotenv.config();
+
+/**
+ * 將賽事、同步狀態與日曆註冊表從一個儲存後端複製到另一個
+ * 目標後端中來源沒有的年份維持原狀,來源有的年份整份取代
+ * @param {string} fromType - 來源後端類型 (例如: 'json')
+ * @param {string} toType - 目標後端類型 (例如: 'sqlite')
+ * @returns {Promise<Object>} 複製統計 { sports, years, events, syncStates, calendars }
+ */
+async function migrateStorage(fromType, toType) {
+  const source = createStorage(fromType);
+  const target = createStorage(toType);
+  const stats = { sports: 0, years: 0, events: 0, syncStates: 0, calendars: false };
+
+  try {
+    console.log(`🚚 Migrating storage from ${fromType} to ${toType}...`);
+
+    // 1. 年份資料 (標準化賽事與原始資料)
+    for (const sportId of await source.listSports()) {
+      stats.sports++;
+
+      for (const year of await source.listYears(sportId)) {
+        const yearData = await source.readYear(sportId, year);
+        await target.writeYear(sportId, year, yearData);
+
+        // 讀回比對,確認目標後端保存的內容與來源相同
+        const copied = await target.readYear(sportId, year);
+        if (JSON.stringify(copied?.events) !== JSON.stringify(yearData.events)) {
+          throw new Error(`Verification failed for ${sportId} ${year}: events read back from ${toType} differ from ${fromType}`);
+        }
+
+        stats.years++;
+        stats.events += yearData.events?.length || 0;
+        console.log(`✅ ${sportId} ${year}: ${yearData.events?.length || 0} events`);
+      }
+    }
+
+    // 2. 同步狀態 (來源還是舊版單一檔案時先拆成分片)
+    await splitLegacySyncStateFile(source);
+    for (const sportId of await source.listSyncStates()) {
+      await target.writeSyncState(sportId, await source.readSyncState(sportId));
+      stats.syncStates++;
+    }
+    console.log(`✅ Sync state: ${stats.syncStates} sports`);
+
+    // 3. 日曆註冊表
+    const calendars = await source.readCalendars();
+    if (calendars) {
+      await target.writeCalendars(calendars);
+      stats.calendars = true;
+      console.log(`✅ Calendars: ${calendars.length} entries`);
+    }
+
+    console.log(`\n📊 Migrated ${stats.events} events in ${stats.years} years across ${stats.sports} sports`);
+    console.log(`Set STORAGE_BACKEND=${toType} to use the migrated data`);
+    return stats;
+  } catch (error) {
+    console.error(`Error migrating storage from ${fromType} to ${toType}:`, error);
+    throw error;
+  } finally {
+    await source.close();
+    await target.close();
+  }
+}
+
+// 主程式
+async function main() {
+  const [fromType, toType] = process.argv.slice(2);
+
+  if (!fromType || !toType || fromType === toType) {
+    console.error('請提供不同的來源與目標儲存後端');
+    console.log('使用方法: node calendar-scripts/scripts/migrateStorage.js <from> <to>');
+    console.log('例如: node calendar-scripts/scripts/migrateStorage.js json sqlite');
+    process.exit(1);
+  }
+
+  // 避免與排程中的執行同時寫入
+  await acquireRunLock();
+  try {
+    await migrateStorage(fromType, toType);
+  } finally {
+    await releaseRunLock();
+  }
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
@@ -3,9 +3,6 @@
 import { google } from 'googleapis';
 import { authorize } from '../src/utils/authenticate.js';
 
-// Google Calendar API 範圍
-const SCOPES = ['https://www.googleapis.com/auth/calendar'];
-
 /**
  * 移除日曆中的重複事件
  * @param {string} calendarId - 日曆 ID
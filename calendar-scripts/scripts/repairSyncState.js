@@ -0,0 +1,38 @@
+#!/usr/bin/env node
+
+import dotenv from 'dotenv';
+import { repairSyncState } from '../src/services/syncService.js';
+import { createCalendarProvider } from '../src/providers/providerFactory.js';
+import { closeStorage } from '../src/storage/storageFactory.js';
+import { acquireRunLock, releaseRunLock } from '../src/utils/runLock.js';
+
+dotenv.config();
+
+// 主程式
+async function main() {
+  // 未指定運動時修復所有運動的同步狀態分片
+  const sportIds = process.argv.slice(2);
+
+  // 避免與排程中的執行同時寫入同步狀態
+  await acquireRunLock();
+  try {
+    const provider = createCalendarProvider();
+
+    if (sportIds.length === 0) {
+      console.log(await repairSyncState(provider));
+      return;
+    }
+
+    for (const sportId of sportIds) {
+      console.log(await repairSyncState(provider, sportId));
+    }
+  } finally {
+    await closeStorage();
+    await releaseRunLock();
+  }
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
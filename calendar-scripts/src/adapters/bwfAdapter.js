@@ -18,20 +18,29 @@
  *           prize_money: "1,450,000",
  *           category: "HSBC BWF World Tour Super 1000",
  *           url: "https://...",
+ *           status: { status: "0", code: "normal", label: "Normal" },
+ *           live_status: "post",
  *           ...
  *         }
  *       ]
  *     }
  *   ]
  * }
+ *
+ * 標準欄位的提取規則定義於 data/mapping-configs/bwf.json，由 mappingEngine 執行
  */
+import { standardizeEvent, extractRawEvents } from '../utils/mappingEngine.js';
+import { validateEvent } from '../utils/eventValidator.js';
+import { buildFallbackId } from '../utils/eventId.js';
+
 export class BwfAdapter {
   /**
    * 將 BWF 比賽數據標準化
    * @param {Object} data - 從 BWF 官方 API 獲取的原始數據
+   * @param {Object} mappingConfig - 欄位映射配置 (可選,提供時會從 rawData 重新提取標準欄位)
    * @returns {Array} 標準化的比賽數據數組
    */
-  standardize(data) {
+  standardize(data, mappingConfig = null) {
     // 檢查數據是否為空或無效
     if (!data) {
       console.warn('Received empty data in BWF adapter');
@@ -43,12 +52,12 @@ export class BwfAdapter {
       // 這些資料已經包含標準化欄位和 rawData
       if (Array.isArray(data) && data.length > 0 && data[0].rawData) {
         console.log(`Processing BWF local storage format with ${data.length} events`);
-        return this._processLocalStorageFormat(data);
+        return this._processLocalStorageFormat(data, mappingConfig);
       }
       // 處理官方 API 格式: {results: [{month: "January", tournaments: [...]}]}
       else if (data.results && Array.isArray(data.results)) {
         console.log(`Processing BWF official API format with ${data.results.length} months`);
-        return this._processOfficialApiFormat(data.results);
+        return this._processOfficialApiFormat(data, mappingConfig);
       }
       // 處理舊格式 (向後兼容): {results: {January: {...}, February: {...}, ...}}
       else if (data.results && typeof data.results === 'object') {
@@ -78,36 +87,47 @@ export class BwfAdapter {
 
   /**
    * 處理從 storageManager 載入的本地資料格式
-   * 這些資料已經包含標準化欄位和 rawData,直接使用即可
+   * 這些資料已經包含標準化欄位和 rawData;有映射配置時會從 rawData 重新提取,
+   * 讓映射規則的調整不需重新爬取即可生效
    * @param {Array} localData - 本地儲存的資料陣列
+   * @param {Object} mappingConfig - 欄位映射配置 (可選)
    * @returns {Array} 標準化的比賽數據數組
    * @private
    */
-  _processLocalStorageFormat(localData) {
+  _processLocalStorageFormat(localData, mappingConfig) {
     const standardizedTournaments = [];
 
     for (const item of localData) {
-      // 資料已經標準化,只需要確保格式一致並保留 rawData
+      const fields = mappingConfig && item.rawData
+        ? standardizeEvent(item.rawData, mappingConfig)
+        : item;
+
       const tournament = {
+        // 保留儲存時的 ID,避免映射調整造成事件重建
         id: item.id,
-        name: item.name,
-        location: item.location,
-        dateStart: item.dateStart,
-        dateEnd: item.dateEnd,
-        category: item.category,
-        level: item.level,
-        prize: item.prize,
-        url: item.url,
+        name: fields.name,
+        location: fields.location,
+        dateStart: fields.dateStart,
+        dateEnd: fields.dateEnd,
+        category: fields.category,
+        level: fields.level,
+        prize: fields.prize,
+        url: fields.url,
+        status: fields.status || 'scheduled',
+        statusLabel: fields.statusLabel || '',
         description: item.rawData ? this._generateOfficialDescription(item.rawData) : '',
         source: 'BWF',
         lastUpdated: new Date().toISOString(),
 
+        // 從來源消失但仍在保留期間的賽事 (同步時不刪除)
+        ...(item.missingSince && { missingSince: item.missingSince, missingRuns: item.missingRuns }),
+
         // 保留原始資料參考
         rawData: item.rawData
       };
 
-      // 只添加有開始和結束日期的比賽
-      if (tournament.dateStart && tournament.dateEnd) {
+      // 只添加通過驗證規則的比賽
+      if (this._passesValidation(tournament, mappingConfig)) {
         standardizedTournaments.push(tournament);
       }
     }
@@ -118,42 +138,32 @@ export class BwfAdapter {
 
   /**
    * 處理官方 API 格式 (results 是陣列)
-   * @param {Array} results - 月份陣列，每個月份包含 tournaments
+   * @param {Object} data - 官方 API 回應 { results: [{ month, tournaments }] }
+   * @param {Object} mappingConfig - 欄位映射配置
    * @returns {Array} 標準化的比賽數據數組
    * @private
    */
-  _processOfficialApiFormat(results) {
-    const standardizedTournaments = [];
+  _processOfficialApiFormat(data, mappingConfig) {
+    if (!mappingConfig) {
+      throw new Error('Mapping config is required to standardize BWF official API format');
+    }
 
-    for (const monthData of results) {
-      if (!monthData.tournaments || !Array.isArray(monthData.tournaments)) {
-        continue;
-      }
+    const standardizedTournaments = [];
 
-      for (const tournament of monthData.tournaments) {
-        const standardTournament = {
-          id: `bwf-${tournament.id || Date.now()}-${tournament.code || Math.random().toString(36).substr(2, 5)}`,
-          name: tournament.name || 'Unnamed Tournament',
-          location: {
-            city: this._extractCity(tournament.location),
-            country: tournament.country || '',
-            venue: tournament.location || ''
-          },
-          dateStart: tournament.start_date ? this._parseDate(tournament.start_date) : null,
-          dateEnd: tournament.end_date ? this._parseDate(tournament.end_date) : null,
-          category: tournament.category || 'BWF Tournament',
-          level: this._extractLevel(tournament.category),
-          prize: tournament.prize_money || '',
-          url: tournament.url || '',
-          description: this._generateOfficialDescription(tournament),
-          source: 'BWF',
-          lastUpdated: new Date().toISOString()
-        };
+    for (const tournament of extractRawEvents(data, mappingConfig)) {
+      const fields = standardizeEvent(tournament, mappingConfig);
+      const standardTournament = {
+        ...fields,
+        // 映射規則無法產生 ID 時 (缺少 id / code) 以穩定欄位 hash 作為備援
+        id: fields.id || buildFallbackId('bwf', fields, mappingConfig),
+        description: this._generateOfficialDescription(tournament),
+        source: 'BWF',
+        lastUpdated: new Date().toISOString()
+      };
 
-        // 只添加有開始和結束日期的比賽
-        if (standardTournament.dateStart && standardTournament.dateEnd) {
-          standardizedTournaments.push(standardTournament);
-        }
+      // 只添加通過驗證規則的比賽
+      if (this._passesValidation(standardTournament, mappingConfig)) {
+        standardizedTournaments.push(standardTournament);
       }
     }
 
@@ -162,56 +172,24 @@ export class BwfAdapter {
   }
 
   /**
-   * 解析日期字串為 ISO 格式（避免時區問題）
-   * BWF API 返回格式: "2025-12-17 00:00:00"
-   * @param {string} dateString - 日期字串
-   * @returns {string} ISO 8601 格式日期字串
-   * @private
-   */
-  _parseDate(dateString) {
-    if (!dateString) return null;
-
-    // BWF API 格式: "2025-12-17 00:00:00"
-    // 提取日期部分 "2025-12-17"
-    const datePart = dateString.split(' ')[0];
-
-    // 將日期視為 UTC 時間，避免本地時區影響
-    // 格式: "2025-12-17T00:00:00.000Z"
-    return `${datePart}T00:00:00.000Z`;
-  }
-
-  /**
-   * 從 location 字串中提取城市名稱
-   * 例如: "Kuala Lumpur, Malaysia" -> "Kuala Lumpur"
-   * @param {string} location - 位置字串
-   * @returns {string} 城市名稱
-   * @private
-   */
-  _extractCity(location) {
-    if (!location) return '';
-    const parts = location.split(',');
-    return parts[0]?.trim() || '';
-  }
-
-  /**
-   * 從 category 中提取賽事等級
-   * 例如: "HSBC BWF World Tour Super 1000" -> "Super 1000"
-   * @param {string} category - 賽事分類
-   * @returns {string} 賽事等級
+   * 以映射配置的 validation 規則檢查賽事,未通過時記錄原因
+   * 沒有映射配置時退回只檢查開始和結束日期
+   * @param {Object} tournament - 標準化後的賽事
+   * @param {Object} mappingConfig - 欄位映射配置 (可選)
+   * @returns {boolean} 是否通過驗證
    * @private
    */
-  _extractLevel(category) {
-    if (!category) return '';
+  _passesValidation(tournament, mappingConfig) {
+    const rules = mappingConfig?.validation || { required: ['dateStart', 'dateEnd'] };
+    const errors = validateEvent(tournament, rules);
 
-    const levelMatch = category.match(/Super \d+/i);
-    if (levelMatch) {
-      return levelMatch[0];
+    if (errors.length > 0) {
+      const reasons = errors.map(error => error.reason).join('; ');
+      console.warn(`⚠️  Rejected ${tournament.id || tournament.name}: ${reasons}`);
+      return false;
     }
 
-    if (category.includes('World Championships')) return 'World Championships';
-    if (category.includes('Grand Prix')) return 'Grand Prix';
-
-    return '';
+    return true;
   }
 
   /**
@@ -276,7 +254,7 @@ export class BwfAdapter {
         
         // 創建標準化比賽對象
         const standardTournament = {
-          id: `bwf-${month}-${tournamentIndex}-${Date.now()}`,
+          id: null,
           name: tournament.name || 'Unnamed Tournament',
           location: {
             city: tournament.city || '',
@@ -293,6 +271,7 @@ export class BwfAdapter {
           source: 'BWF',
           lastUpdated: new Date().toISOString()
         };
+        standardTournament.id = tournament.id || buildFallbackId('bwf', standardTournament);
         
         // 只添加有開始和結束日期的比賽
         if (standardTournament.dateStart && standardTournament.dateEnd) {
@@ -316,7 +295,7 @@ export class BwfAdapter {
     
     for (const tournament of tournaments) {
       const standardTournament = {
-        id: tournament.id || `bwf-${Date.now()}-${Math.random().toString(36).substr(2, 5)}`,
+        id: null,
         name: tournament.name || tournament.title || 'Unnamed Tournament',
         location: {
           city: this._getNestedProperty(tournament, 'location.city') || tournament.city || '',
@@ -333,6 +312,7 @@ export class BwfAdapter {
         source: 'BWF',
         lastUpdated: new Date().toISOString()
       };
+      standardTournament.id = tournament.id || buildFallbackId('bwf', standardTournament);
       
       // 只添加有開始和結束日期的比賽
       if (standardTournament.dateStart && standardTournament.dateEnd) {
@@ -1,14 +1,69 @@
 /**
- * BWF API Client - 使用 Puppeteer 取得官方賽事資料
- * 這個 client 會模擬瀏覽器訪問 BWF 官方網站，攔截 API 請求來取得賽事資料
+ * BWF API Client - 取得 BWF 官方賽事資料
+ *
+ * 設定 FIXTURE_MODE=record / replay 時，會錄製或重播每個年份的原始回應 (見 utils/fixtureStore.js)
+ *
+ * 取得方式 (BWF_FETCH_MODE):
+ * - auto (預設): 先直接以 HTTP 呼叫 extranet API，被拒絕 (401/403 或 Cloudflare 驗證頁) 時改用 Puppeteer
+ * - direct: 只使用直接 HTTP 呼叫
+ * - puppeteer: 只使用 Puppeteer 模擬瀏覽器訪問官網並攔截 API 回應
+ *
+ * Puppeteer 模式下，日曆頁面載入時只會請求當年度的賽事；其他年份會在同一個頁面中
+ * 以攔截到的請求 (含 Bearer Token) 為範本，替換 year 參數後重新發送
  */
 
-import puppeteer from 'puppeteer';
+import fetch from 'node-fetch';
+import { getFixtureMode, readFixture, writeFixture, listRecordedSeasonYears } from '../utils/fixtureStore.js';
+import { getSeasonYears } from '../utils/seasonWindow.js';
+import { withRetry } from '../utils/resilience.js';
+import { getConditionalHeaders, readCachedResponse, storeResponse } from '../utils/responseCache.js';
+
+// 直接呼叫 API 時使用的請求內容 (與官網日曆頁面相同的賽事分類)
+const DEFAULT_CATEGORIES = [20, 21, 22, 23, 24, 25, 26, 27];
+const BROWSER_USER_AGENT = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+const DIRECT_TIMEOUT_MS = 30000;
+
+// fixture 與回應快取名稱的目錄 (bwf/season-{year})
+const FIXTURE_PREFIX = 'bwf';
 
 export class BwfApiClient {
-  constructor() {
-    this.apiEndpoint = 'https://extranet-lv.bwfbadminton.com/api/vue-grouped-year-tournaments';
-    this.pageUrl = 'https://bwfbadminton.com/calendar/';
+  /**
+   * @param {Object} options - 設定
+   * @param {string} options.fetchMode - 取得方式 ('auto' | 'direct' | 'puppeteer')
+   * @param {string} options.apiToken - 直接呼叫時使用的 Bearer Token (可選)
+   * @param {string} options.apiEndpoint - API 端點 URL
+   * @param {string} options.pageUrl - 官網日曆頁面 URL
+   * @param {Object} options.headers - 直接呼叫時額外的 HTTP headers
+   * @param {number} options.timeout - 直接呼叫的逾時毫秒數
+   * @param {Object} options.seasonWindow - 賽季視窗 { past, future }
+   * @param {Object} options.retry - 重試設定 (見 utils/resilience.js withRetry)
+   */
+  constructor(options = {}) {
+    this.apiEndpoint = options.apiEndpoint || 'https://extranet-lv.bwfbadminton.com/api/vue-grouped-year-tournaments';
+    this.pageUrl = options.pageUrl || 'https://bwfbadminton.com/calendar/';
+    this.fetchMode = options.fetchMode || process.env.BWF_FETCH_MODE || 'auto';
+    this.apiToken = options.apiToken || process.env.BWF_API_TOKEN || '';
+    this.headers = options.headers || {};
+    this.timeout = options.timeout || DIRECT_TIMEOUT_MS;
+    this.seasonWindow = options.seasonWindow || {};
+    this.retry = options.retry || {};
+  }
+
+  /**
+   * 取得賽季視窗內所有年份的賽事資料 (source client 統一介面)
+   * @param {string} sportId - 運動 ID
+   * @returns {Promise<{seasons: Array<{year: number, data: Object}>, strategy: string}>} 各年份的 API 回應
+   */
+  async fetch(sportId) {
+    const seasonYears = getSeasonYears(new Date(), this.seasonWindow);
+
+    // 重播時使用錄製的年份 (跨年後 fixture 仍可重播),沒有錄製時依賽季視窗 (讀取時拋出找不到 fixture 的錯誤)
+    if (getFixtureMode() === 'replay') {
+      const recordedYears = await listRecordedSeasonYears(FIXTURE_PREFIX);
+      return await this._replaySeasons(recordedYears.length > 0 ? recordedYears : seasonYears);
+    }
+
+    return await this.fetchSeasons(seasonYears);
   }
 
   /**
@@ -16,12 +71,203 @@ export class BwfApiClient {
    * @param {number} year - 年份 (預設為當前年份)
    * @returns {Promise<Object>} BWF API 回應資料
    */
-  async fetchTournaments(year = new Date().getFullYear()) {
-    console.log(`正在從 BWF 官方 API 取得 ${year} 年賽事資料...`);
+  async fetchTournaments(year = new Date().getUTCFullYear()) {
+    const { seasons } = await this.fetchSeasons([year]);
+    return seasons[0].data;
+  }
 
+  /**
+   * 從 BWF 官方 API 取得多個年份的賽事資料
+   * @param {number[]} years - 年份陣列 (例如: [2025, 2026])
+   * @returns {Promise<{seasons: Array<{year: number, data: Object}>, strategy: string}>} 各年份的 API 回應與成功的取得方式
+   */
+  async fetchSeasons(years) {
+    const fixtureMode = getFixtureMode();
+
+    // 重播模式: 不連線,直接讀取錄製的回應
+    if (fixtureMode === 'replay') {
+      return await this._replaySeasons(years);
+    }
+
+    const result = await this._fetchSeasonsLive(years);
+
+    // 錄製模式: 每個年份各存一份原始回應
+    if (fixtureMode === 'record') {
+      for (const season of result.seasons) {
+        await writeFixture(this._fixtureKey(season.year), season.data);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * 連線取得多個年份的賽事資料 (直接 HTTP,必要時改用 Puppeteer)
+   * @param {number[]} years - 年份陣列
+   * @returns {Promise<{seasons: Array<{year: number, data: Object}>, strategy: string}>} 各年份的 API 回應與成功的取得方式
+   * @private
+   */
+  async _fetchSeasonsLive(years) {
+    console.log(`正在從 BWF 官方 API 取得 ${years.join(', ')} 年賽事資料 (mode: ${this.fetchMode})...`);
+
+    if (this.fetchMode !== 'puppeteer') {
+      try {
+        const seasons = await this._fetchSeasonsDirect(years);
+        console.log('✅ BWF 資料取得方式: direct HTTP');
+        return { seasons, strategy: 'direct' };
+      } catch (error) {
+        if (this.fetchMode === 'direct' || !error.refused) {
+          throw error;
+        }
+        console.warn(`⚠️  直接呼叫 BWF API 被拒絕 (${error.message})，改用 Puppeteer 攔截`);
+      }
+    }
+
+    // 頁面載入或攔截逾時 (TimeoutError) 時重新啟動瀏覽器再試
+    const seasons = await withRetry(
+      () => this._fetchSeasonsWithBrowser(years),
+      { ...this.retry, label: 'BWF Puppeteer fetch' }
+    );
+    console.log('✅ BWF 資料取得方式: Puppeteer');
+    return { seasons, strategy: 'puppeteer' };
+  }
+
+  /**
+   * 從 fixture 讀取多個年份的賽事資料
+   * 非主要年份沒有 fixture 時只記錄警告 (與連線時的行為一致)
+   * @param {number[]} years - 年份陣列
+   * @returns {Promise<{seasons: Array<{year: number, data: Object}>, strategy: string}>} 各年份的錄製回應
+   * @private
+   */
+  async _replaySeasons(years) {
+    const seasons = [];
+
+    for (const year of years) {
+      try {
+        const apiResponse = await readFixture(this._fixtureKey(year));
+        this._logSummary(year, apiResponse);
+        seasons.push({ year, data: apiResponse });
+      } catch (error) {
+        console.warn(`⚠️  ${error.message}`);
+      }
+    }
+
+    if (seasons.length === 0) {
+      throw new Error(`No BWF fixture found for ${years.join(', ')}`);
+    }
+
+    return { seasons, strategy: 'fixture' };
+  }
+
+  /**
+   * 取得年份對應的 fixture 名稱
+   * @param {number} year - 年份
+   * @returns {string} fixture 名稱
+   * @private
+   */
+  _fixtureKey(year) {
+    return `${FIXTURE_PREFIX}/season-${year}`;
+  }
+
+  /**
+   * 直接以 HTTP 呼叫 BWF extranet API
+   * 任一年份被拒絕時拋出 refused 錯誤；非主要年份的其他錯誤只記錄警告
+   * @param {number[]} years - 年份陣列
+   * @returns {Promise<Array<{year: number, data: Object}>>} 各年份的 API 回應
+   * @private
+   */
+  async _fetchSeasonsDirect(years) {
+    const currentYear = new Date().getUTCFullYear();
+    const primaryYear = years.includes(currentYear) ? currentYear : years[0];
+    const seasons = [];
+
+    for (const year of years) {
+      try {
+        const apiResponse = await withRetry(
+          () => this._requestSeasonDirect(year),
+          { ...this.retry, label: `BWF direct request ${year}` }
+        );
+        this._logSummary(year, apiResponse);
+        seasons.push({ year, data: apiResponse });
+      } catch (error) {
+        if (error.refused || year === primaryYear) {
+          throw error;
+        }
+        console.warn(`⚠️  無法取得 ${year} 年賽事資料: ${error.message}`);
+      }
+    }
+
+    return seasons;
+  }
+
+  /**
+   * 直接呼叫 API 取得單一年份
+   * @param {number} year - 年份
+   * @returns {Promise<Object>} BWF API 回應資料
+   * @private
+   */
+  async _requestSeasonDirect(year) {
+    const headers = {
+      'Accept': 'application/json, text/plain, */*',
+      'Content-Type': 'application/json',
+      'Origin': 'https://bwfbadminton.com',
+      'Referer': this.pageUrl,
+      'User-Agent': BROWSER_USER_AGENT,
+      ...this.headers
+    };
+    if (this.apiToken) {
+      headers['Authorization'] = `Bearer ${this.apiToken}`;
+    }
+
+    // 有快取時送出條件式請求 (API 支援 ETag / Last-Modified 時可收到 304)
+    const cacheKey = this._fixtureKey(year);
+    Object.assign(headers, await getConditionalHeaders(cacheKey));
+
+    const response = await fetch(this.apiEndpoint, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({ year, category: DEFAULT_CATEGORIES }),
+      signal: AbortSignal.timeout(this.timeout)
+    });
+
+    if (response.status === 304) {
+      return await readCachedResponse(cacheKey);
+    }
+
+    const contentType = response.headers.get('content-type') || '';
+
+    // 401/403 或回傳 HTML (Cloudflare 驗證頁) 視為被拒絕
+    if (response.status === 401 || response.status === 403 || (response.ok && !contentType.includes('json'))) {
+      const error = new Error(`BWF API refused direct request for ${year} (status ${response.status}, ${contentType || 'no content-type'})`);
+      error.refused = true;
+      error.status = response.status;
+      throw error;
+    }
+
+    if (!response.ok) {
+      const error = new Error(`BWF API request for ${year} failed with status ${response.status}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    const apiResponse = await response.json();
+    await storeResponse(cacheKey, apiResponse, response);
+    return apiResponse;
+  }
+
+  /**
+   * 使用 Puppeteer 訪問官網並攔截 API 回應 (共用同一個瀏覽器工作階段)
+   * @param {number[]} years - 年份陣列
+   * @returns {Promise<Array<{year: number, data: Object}>>} 各年份的 API 回應
+   * @private
+   */
+  async _fetchSeasonsWithBrowser(years) {
     let browser = null;
 
     try {
+      // 只在需要時載入 Puppeteer，直接 HTTP 模式不需要 Chromium
+      const { default: puppeteer } = await import('puppeteer');
+
       // 啟動無頭瀏覽器（GitHub Actions 環境配置）
       browser = await puppeteer.launch({
         headless: true, // 在 CI/CD 環境中必須使用無頭模式
@@ -38,7 +284,7 @@ export class BwfApiClient {
 
       // 設定 User-Agent 和 viewport 來模擬真實瀏覽器
       await page.setViewport({ width: 1920, height: 1080 });
-      await page.setUserAgent('Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
+      await page.setUserAgent(BROWSER_USER_AGENT);
 
       // 訪問 BWF 日曆頁面，同時等待 API 回應
       console.log('正在訪問 BWF 官方日曆頁面...');
@@ -58,17 +304,34 @@ export class BwfApiClient {
 
       console.log(`✅ 成功攔截 BWF API 回應`);
 
-      // 取得並解析回應資料
-      const apiResponse = await response.json();
+      // 以攔截到的請求作為其他年份的請求範本
+      const template = this._parseRequestTemplate(response.request());
+
+      const seasons = [];
+      for (const year of years) {
+        if (year === template.year) {
+          const apiResponse = await response.json();
+          this._logSummary(year, apiResponse);
+          seasons.push({ year, data: apiResponse });
+          continue;
+        }
+
+        // 其他年份 (例如尚未公布的下一季) 失敗時不影響已取得的年份
+        try {
+          console.log(`正在重新請求 ${year} 年賽事資料...`);
+          const apiResponse = await this._requestSeasonInPage(page, template, year);
+          this._logSummary(year, apiResponse);
+          seasons.push({ year, data: apiResponse });
+        } catch (error) {
+          console.warn(`⚠️  無法取得 ${year} 年賽事資料: ${error.message}`);
+        }
+      }
 
-      if (apiResponse.results) {
-        const totalTournaments = apiResponse.results.reduce((sum, month) => {
-          return sum + (month.tournaments?.length || 0);
-        }, 0);
-        console.log(`   收到 ${apiResponse.results.length} 個月份，共 ${totalTournaments} 筆賽事`);
+      if (seasons.length === 0) {
+        throw new Error(`No BWF season could be fetched for ${years.join(', ')}`);
       }
 
-      return apiResponse;
+      return seasons;
 
     } catch (error) {
       console.error('BWF API Client 錯誤:', error.message);
@@ -97,4 +360,77 @@ export class BwfApiClient {
     const monthData = data.results.find(m => m.monthNo === month);
     return monthData?.tournaments || [];
   }
+
+  /**
+   * 從攔截到的請求取出 URL、headers 與 body
+   * @param {Object} request - Puppeteer HTTPRequest
+   * @returns {{url: string, method: string, headers: Object, body: Object|null, year: number}} 請求範本
+   * @private
+   */
+  _parseRequestTemplate(request) {
+    let body = null;
+    try {
+      body = request.postData() ? JSON.parse(request.postData()) : null;
+    } catch (error) {
+      console.warn('無法解析 BWF API 請求內容,僅能取得頁面預設年份');
+    }
+
+    return {
+      url: request.url(),
+      method: request.method(),
+      headers: request.headers(),
+      body,
+      year: Number(body?.year) || new Date().getUTCFullYear()
+    };
+  }
+
+  /**
+   * 在頁面內以請求範本重新發送指定年份的 API 請求 (沿用瀏覽器的 cookies 與 Token)
+   * @param {Object} page - Puppeteer Page
+   * @param {Object} template - 請求範本
+   * @param {number} year - 年份
+   * @returns {Promise<Object>} BWF API 回應資料
+   * @private
+   */
+  async _requestSeasonInPage(page, template, year) {
+    if (!template.body || !('year' in template.body)) {
+      throw new Error(`Cannot request BWF season ${year}: intercepted request has no year parameter`);
+    }
+
+    const result = await page.evaluate(async ({ url, method, headers, body }) => {
+      const res = await fetch(url, {
+        method,
+        headers,
+        body: JSON.stringify(body),
+        credentials: 'include'
+      });
+      return { status: res.status, data: res.ok ? await res.json() : null };
+    }, {
+      url: template.url,
+      method: template.method,
+      headers: template.headers,
+      body: { ...template.body, year }
+    });
+
+    if (result.status !== 200) {
+      throw new Error(`BWF API request for ${year} failed with status ${result.status}`);
+    }
+
+    return result.data;
+  }
+
+  /**
+   * 輸出年份的賽事數量摘要
+   * @param {number} year - 年份
+   * @param {Object} apiResponse - BWF API 回應資料
+   * @private
+   */
+  _logSummary(year, apiResponse) {
+    if (apiResponse?.results) {
+      const totalTournaments = apiResponse.results.reduce((sum, month) => {
+        return sum + (month.tournaments?.length || 0);
+      }, 0);
+      console.log(`   ${year}: 收到 ${apiResponse.results.length} 個月份，共 ${totalTournaments} 筆賽事`);
+    }
+  }
 }
@@ -0,0 +1,64 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { BwfApiClient } from './bwfApiClient.js';
+import { HttpJsonClient } from './httpJsonClient.js';
+import { StaticIndexClient } from './staticIndexClient.js';
+import { LocalFileClient } from './localFileClient.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const SOURCE_CONFIGS_DIR = path.join(__dirname, '../../data/source-configs');
+
+// 沒有來源設定的運動預設使用靜態 API 索引
+const DEFAULT_SOURCE_CONFIG = { client: 'static-index', options: {} };
+
+// 資料來源 Client 註冊表 (依 client 類型)
+const clients = {
+  'bwf-official': BwfApiClient,
+  'http': HttpJsonClient,
+  'static-index': StaticIndexClient,
+  'local-file': LocalFileClient
+};
+
+/**
+ * 載入運動的資料來源設定
+ * 設定檔位置: data/source-configs/{sportId}.json
+ * @param {string} sportId - 體育ID
+ * @returns {Promise<Object>} 來源設定 { client, options }
+ */
+export async function loadSourceConfig(sportId) {
+  try {
+    const configPath = path.join(SOURCE_CONFIGS_DIR, `${sportId}.json`);
+    const data = await fs.readFile(configPath, 'utf-8');
+    return { ...DEFAULT_SOURCE_CONFIG, ...JSON.parse(data) };
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+    return DEFAULT_SOURCE_CONFIG;
+  }
+}
+
+/**
+ * 根據體育ID建立對應的資料來源 Client
+ * @param {string} sportId - 體育ID (例如: 'bwf')
+ * @returns {Promise<Object>} Client 實例 (提供 fetch(sportId) 方法)
+ */
+export async function getClient(sportId) {
+  const sourceConfig = await loadSourceConfig(sportId);
+  const ClientClass = clients[sourceConfig.client];
+
+  if (!ClientClass) {
+    throw new Error(`No source client registered for type "${sourceConfig.client}" (sport ID: ${sportId})`);
+  }
+
+  return new ClientClass(sourceConfig.options || {});
+}
+
+/**
+ * 註冊一個新的資料來源 Client
+ * @param {string} type - Client 類型 (對應來源設定的 client 欄位)
+ * @param {Class} ClientClass - Client 類 (需提供 fetch(sportId) 方法)
+ */
+export function registerClient(type, ClientClass) {
+  clients[type] = ClientClass;
+  console.log(`Registered source client ${type}`);
+}
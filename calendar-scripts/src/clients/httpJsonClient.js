@@ -0,0 +1,118 @@
+/**
+ * HTTP JSON Client - 直接呼叫回傳 JSON 的 HTTP 端點
+ *
+ * url 中的 {year} 會被替換為賽季年份；設定 seasonal: true 時會依賽季視窗
+ * 逐年請求並回傳 { seasons: [{ year, data }] }
+ */
+
+import fetch from 'node-fetch';
+import { withFixture, getFixtureMode, listRecordedSeasonYears } from '../utils/fixtureStore.js';
+import { getSeasonYears } from '../utils/seasonWindow.js';
+import { withRetry } from '../utils/resilience.js';
+import { getConditionalHeaders, readCachedResponse, storeResponse } from '../utils/responseCache.js';
+
+const DEFAULT_TIMEOUT_MS = 30000;
+
+export class HttpJsonClient {
+  /**
+   * @param {Object} options - 設定
+   * @param {string} options.url - 端點 URL (可含 {year})
+   * @param {string} options.method - HTTP 方法 (預設: GET)
+   * @param {Object} options.headers - HTTP headers
+   * @param {Object} options.body - 請求內容 (JSON,字串值中的 {year} 會被替換)
+   * @param {number} options.timeout - 逾時毫秒數
+   * @param {boolean} options.seasonal - 是否依賽季視窗逐年請求
+   * @param {Object} options.seasonWindow - 賽季視窗 { past, future }
+   * @param {Object} options.retry - 重試設定 (見 utils/resilience.js withRetry)
+   */
+  constructor(options = {}) {
+    if (!options.url) {
+      throw new Error('HttpJsonClient requires a "url" option');
+    }
+
+    this.url = options.url;
+    this.method = options.method || 'GET';
+    this.headers = options.headers || {};
+    this.body = options.body || null;
+    this.timeout = options.timeout || DEFAULT_TIMEOUT_MS;
+    this.seasonal = Boolean(options.seasonal);
+    this.seasonWindow = options.seasonWindow || {};
+    this.retry = options.retry || {};
+  }
+
+  /**
+   * 取得指定運動的賽事資料
+   * @param {string} sportId - 運動 ID
+   * @returns {Promise<Object>} 賽事資料 (seasonal 時為 { seasons: [...] })
+   */
+  async fetch(sportId) {
+    if (!this.seasonal) {
+      return await withFixture(`${sportId}/http`, () => this._request(null, `${sportId}/http`));
+    }
+
+    const currentYear = new Date().getUTCFullYear();
+    const seasons = [];
+
+    // 重播時使用錄製的年份 (跨年後 fixture 仍可重播)
+    const recordedYears = getFixtureMode() === 'replay' ? await listRecordedSeasonYears(sportId) : [];
+    const years = recordedYears.length > 0 ? recordedYears : getSeasonYears(new Date(), this.seasonWindow);
+
+    for (const year of years) {
+      try {
+        const key = `${sportId}/season-${year}`;
+        const data = await withFixture(key, () => this._request(year, key));
+        seasons.push({ year, data });
+      } catch (error) {
+        // 今年以外的賽季 (例如尚未公布) 失敗時只記錄警告
+        if (year === currentYear) throw error;
+        console.warn(`⚠️  Unable to fetch ${sportId} season ${year}: ${error.message}`);
+      }
+    }
+
+    return { seasons, strategy: 'http' };
+  }
+
+  /**
+   * 發送請求並解析 JSON (暫時性錯誤會重試,有快取時送出條件式請求)
+   * @param {number|null} year - 賽季年份
+   * @param {string} cacheKey - 回應快取名稱
+   * @returns {Promise<Object>} 回應資料
+   * @private
+   */
+  async _request(year, cacheKey) {
+    const fill = value => (year === null ? value : value.replaceAll('{year}', String(year)));
+    const url = fill(this.url);
+
+    const init = {
+      method: this.method,
+      headers: { 'Accept': 'application/json', ...this.headers }
+    };
+
+    if (this.body) {
+      init.headers['Content-Type'] = init.headers['Content-Type'] || 'application/json';
+      init.body = fill(JSON.stringify(this.body));
+    }
+
+    return await withRetry(async () => {
+      const response = await fetch(url, {
+        ...init,
+        headers: { ...init.headers, ...await getConditionalHeaders(cacheKey) },
+        signal: AbortSignal.timeout(this.timeout)
+      });
+
+      if (response.status === 304) {
+        return await readCachedResponse(cacheKey);
+      }
+
+      if (!response.ok) {
+        const error = new Error(`HTTP request ${url} failed with status ${response.status}`);
+        error.status = response.status;
+        throw error;
+      }
+
+      const data = await response.json();
+      await storeResponse(cacheKey, data, response);
+      return data;
+    }, { ...this.retry, label: `HTTP ${url}` });
+  }
+}
@@ -0,0 +1,32 @@
+/**
+ * Local File Client - 從本地 JSON 檔案讀取賽事資料
+ * 適用於手動維護的賽程或離線開發
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+export class LocalFileClient {
+  /**
+   * @param {Object} options - 設定
+   * @param {string} options.path - JSON 檔案路徑 (相對路徑以執行目錄為準)
+   */
+  constructor(options = {}) {
+    if (!options.path) {
+      throw new Error('LocalFileClient requires a "path" option');
+    }
+
+    this.filePath = path.resolve(process.cwd(), options.path);
+  }
+
+  /**
+   * 讀取賽事資料
+   * @param {string} sportId - 運動 ID
+   * @returns {Promise<Object>} 賽事資料
+   */
+  async fetch(sportId) {
+    console.log(`Reading ${sportId} tournaments from ${this.filePath}`);
+    const data = await fs.readFile(this.filePath, 'utf-8');
+    return JSON.parse(data);
+  }
+}
@@ -0,0 +1,100 @@
+/**
+ * Static Index Client - 透過 the-static-api 的 API 索引取得賽事資料
+ * 先讀取 /api/index.json，再依運動 ID 找出賽事端點
+ */
+
+import fetch from 'node-fetch';
+import { withFixture } from '../utils/fixtureStore.js';
+import { withRetry } from '../utils/resilience.js';
+import { getConditionalHeaders, readCachedResponse, storeResponse } from '../utils/responseCache.js';
+
+const DEFAULT_BASE_URL = 'https://the-static-api.vercel.app';
+const DEFAULT_INDEX_PATH = '/api/index.json';
+const DEFAULT_TIMEOUT_MS = 30000;
+
+export class StaticIndexClient {
+  /**
+   * @param {Object} options - 設定
+   * @param {string} options.baseUrl - API 基礎 URL (預設依 API_BASE_URL)
+   * @param {string} options.indexPath - 索引路徑
+   * @param {string} options.endpointMatch - 用於辨識賽事端點的關鍵字 (預設: 'tournament')
+   * @param {Object} options.headers - 額外的 HTTP headers
+   * @param {number} options.timeout - 逾時毫秒數
+   * @param {Object} options.retry - 重試設定 (見 utils/resilience.js withRetry)
+   */
+  constructor(options = {}) {
+    // 建立 Client 時才讀取環境變數,確保 dotenv 已載入
+    this.baseUrl = options.baseUrl || process.env.API_BASE_URL || DEFAULT_BASE_URL;
+    this.indexPath = options.indexPath || DEFAULT_INDEX_PATH;
+    this.endpointMatch = (options.endpointMatch || 'tournament').toLowerCase();
+    this.headers = options.headers || {};
+    this.timeout = options.timeout || DEFAULT_TIMEOUT_MS;
+    this.retry = options.retry || {};
+  }
+
+  /**
+   * 取得 API 索引
+   * @returns {Promise<Object>} API 索引資料
+   */
+  async fetchIndex() {
+    return await withFixture('static-api/index', () => this._getJson(this.indexPath, 'static-api/index'));
+  }
+
+  /**
+   * 取得指定運動的賽事資料
+   * @param {string} sportId - 運動 ID
+   * @returns {Promise<Object>} 賽事資料
+   */
+  async fetch(sportId) {
+    const apiIndex = await this.fetchIndex();
+
+    // 尋找對應的API
+    const api = apiIndex.apis.find(api => api.id === sportId);
+    if (!api) {
+      throw new Error(`API for sport ${sportId} not found in the API index`);
+    }
+
+    // 尋找賽事數據端點
+    const tournamentEndpoint = api.endpoints.find(
+      endpoint => endpoint.name.toLowerCase().includes(this.endpointMatch) ||
+                  endpoint.description.toLowerCase().includes(this.endpointMatch)
+    );
+
+    if (!tournamentEndpoint) {
+      throw new Error(`Tournament endpoint for ${sportId} not found`);
+    }
+
+    const cacheKey = `static-api/${sportId}-tournaments`;
+    return await withFixture(cacheKey, () => this._getJson(tournamentEndpoint.url, cacheKey));
+  }
+
+  /**
+   * 發送 GET 請求並解析 JSON (暫時性錯誤會重試,有快取時送出條件式請求)
+   * @param {string} urlPath - 相對於 baseUrl 的路徑
+   * @param {string} cacheKey - 回應快取名稱
+   * @returns {Promise<Object>} 回應資料
+   * @private
+   */
+  async _getJson(urlPath, cacheKey) {
+    return await withRetry(async () => {
+      const response = await fetch(`${this.baseUrl}${urlPath}`, {
+        headers: { ...this.headers, ...await getConditionalHeaders(cacheKey) },
+        signal: AbortSignal.timeout(this.timeout)
+      });
+
+      if (response.status === 304) {
+        return await readCachedResponse(cacheKey);
+      }
+
+      if (!response.ok) {
+        const error = new Error(`Static API request ${urlPath} failed with status ${response.status}`);
+        error.status = response.status;
+        throw error;
+      }
+
+      const data = await response.json();
+      await storeResponse(cacheKey, data, response);
+      return data;
+    }, { ...this.retry, label: `Static API ${urlPath}` });
+  }
+}
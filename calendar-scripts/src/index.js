@@ -1,9 +1,15 @@
 import dotenv from 'dotenv';
 import { fetchApiIndex, fetchTournamentData } from './utils/apiClient.js';
-import { processData } from './utils/dataProcessor.js';
 import { syncWithCalendar } from './services/syncService.js';
+import { createCalendarProvider } from './providers/providerFactory.js';
 import { getAdapter } from './adapters/adapterFactory.js';
 import { saveRawTournamentData, loadLocalTournamentData } from './utils/storageManager.js';
+import { loadMappingConfig } from './utils/mappingEngine.js';
+import { getSegmentLabel } from './utils/calendarSegments.js';
+import { getSourceDigest, isSourceUnchanged, markSourceSynced } from './utils/responseCache.js';
+import { acquireRunLock, releaseRunLock } from './utils/runLock.js';
+import { closeStorage } from './storage/storageFactory.js';
+import { writeDataManifest } from './utils/dataManifest.js';
 
 // 載入環境變數
 dotenv.config();
@@ -11,10 +17,21 @@ dotenv.config();
 /**
  * 主程序入口點
  * @param {string[]} sportIds - 要處理的運動 ID 列表 (例如: ['bwf'])
+ * @param {Object} options - 設定 (可選)
+ * @param {boolean} options.dryRun - 階段 3 只輸出同步計畫,不修改 Google Calendar (預設依 SYNC_DRY_RUN)
+ * @param {boolean} options.forceDeletes - 略過大量刪除的保護 (預設依 SYNC_FORCE_DELETES)
+ * @param {Object} options.calendarProvider - 日曆 Provider (預設為 Google Calendar)
+ * @returns {Promise<Object>} { success, results: { [sportId]: syncWithCalendar 的結果或 { skipped: 'unchanged' } }, failedSports }
  */
-export async function main(sportIds = []) {
+export async function main(sportIds = [], options = {}) {
+  const dryRun = options.dryRun ?? process.env.SYNC_DRY_RUN === 'true';
+  const forceDeletes = options.forceDeletes ?? process.env.SYNC_FORCE_DELETES === 'true';
+
+  // 同一時間只允許一個執行寫入狀態檔案 (排程與手動觸發可能重疊)
+  await acquireRunLock();
+
   try {
-    console.log('Starting calendar creation process...');
+    console.log(`Starting calendar creation process${dryRun ? ' (dry run)' : ''}...`);
     
     // 如果沒有指定運動 ID，則獲取並處理所有可用的運動
     if (sportIds.length === 0) {
@@ -23,6 +40,13 @@ export async function main(sportIds = []) {
       console.log(`No sport IDs specified, processing all available sports: ${sportIds.join(', ')}`);
     }
     
+    // 日曆 Provider (Google Calendar 在第一次寫入時才取得認證,dry-run 不需要憑證)
+    const calendarProvider = options.calendarProvider || createCalendarProvider();
+
+    // 記錄處理失敗的運動 (不中斷其他運動,但整體執行結果標記為失敗)
+    const failedSports = [];
+    const results = {};
+
     // 處理每個運動 ID
     for (const sportId of sportIds) {
       console.log(`Processing ${sportId} tournaments...`);
@@ -31,10 +55,34 @@ export async function main(sportIds = []) {
         // 【階段 1】爬取與儲存
         console.log(`\n=== 階段 1: 爬取與儲存 ===`);
         // 獲取比賽數據 (原始 API 資料)
-        const rawTournamentData = await fetchTournamentData(sportId);
+        // 來源暫時無法使用 (重試用盡或斷路器開啟) 時，改用上一次成功儲存的本地年份檔案
+        let rawTournamentData = null;
+        try {
+          rawTournamentData = await fetchTournamentData(sportId);
+        } catch (error) {
+          if (!error.sourceUnavailable) throw error;
+          console.warn(`⚠️  ${sportId} source unavailable (${error.message}), falling back to last good local data`);
+        }
+
+        // 載入目前的映射配置 (修改配置後不需重新爬取即可生效)
+        const mappingConfig = await loadMappingConfig(sportId);
+
+        // 來源內容與映射配置都與上一次成功同步時相同時，略過階段 2 與 3 (不重寫年份檔案)
+        // dry-run 一律產生完整的同步計畫
+        const sourceDigest = rawTournamentData ? getSourceDigest(rawTournamentData, mappingConfig) : null;
+        if (sourceDigest && !dryRun && process.env.FORCE_SYNC !== 'true' && await isSourceUnchanged(sportId, sourceDigest)) {
+          console.log(`⏭️  ${sportId} source unchanged since last successful sync, skipping standardization and sync`);
+          results[sportId] = { skipped: 'unchanged' };
+          continue;
+        }
 
         // 儲存原始資料到本地檔案 (按年份分組)
-        await saveRawTournamentData(sportId, rawTournamentData);
+        // dry-run 只在記憶體中合併,不寫入年份檔案、報告與 changelog,也不累計消失賽事的缺席次數
+        let pendingYears = null;
+        if (rawTournamentData) {
+          const eventsByYear = await saveRawTournamentData(sportId, rawTournamentData, { dryRun });
+          if (dryRun) pendingYears = eventsByYear;
+        }
 
         // 【階段 2】標準化
         console.log(`\n=== 階段 2: 標準化 ===`);
@@ -45,37 +93,82 @@ export async function main(sportIds = []) {
           continue;
         }
 
-        // 從本地檔案讀取資料 (包含原始資料 + mapping config)
-        const localData = await loadLocalTournamentData(sportId);
+        // 從本地檔案讀取資料 (包含原始資料,dry-run 時以記憶體中的合併結果取代對應年份)
+        const localData = await loadLocalTournamentData(sportId, null, pendingYears);
+        if (!rawTournamentData && localData.length === 0) {
+          throw new Error(`${sportId} source unavailable and no local data to fall back to`);
+        }
 
         // 使用適配器處理數據 (adapter 會根據 mappingConfig 提取標準欄位)
-        const standardizedData = adapter.standardize(localData);
+        const standardizedData = adapter.standardize(localData, mappingConfig);
 
         // 【階段 3】同步到 Google Calendar
         console.log(`\n=== 階段 3: 同步到 Google Calendar ===`);
         // 使用新的同步服務 (整合 sync-state 管理)
-        const syncResult = await syncWithCalendar(sportId, standardizedData);
+        const syncResult = await syncWithCalendar(calendarProvider, sportId, standardizedData, { dryRun, forceDeletes });
+        results[sportId] = syncResult;
+        if (syncResult.dryRun) {
+          // dry-run 不記錄來源內容 hash,套用時才會真正同步
+          for (const [segmentKey, { plan }] of Object.entries(syncResult.calendars)) {
+            console.log(`✅ ${getSegmentLabel(sportId, segmentKey)} sync plan ready for review:`, plan.summary);
+          }
+          continue;
+        }
         console.log(`✅ ${sportId} sync completed:`, syncResult);
+
+        // 全部事件都同步成功後才記錄來源內容 hash，有失敗時下次會重新處理
+        // 有保留中的消失賽事時也不記錄，讓之後的執行繼續累計缺席次數
+        // 有延後的重新寫入時也不記錄，讓之後的執行繼續分批更新
+        const hasMissingEvents = standardizedData.some(event => event.missingSince);
+        if (sourceDigest && syncResult.stats.failed === 0 && syncResult.stats.deferred === 0 && !hasMissingEvents) {
+          await markSourceSynced(sportId, sourceDigest);
+        }
       } catch (error) {
         console.error(`Error processing ${sportId}: ${error.message}`);
+        failedSports.push({ sportId, error: error.message });
         // 繼續處理其他運動，不中斷整個流程
       }
     }
-    
+
+    // 輸出資料清單 (年份、賽事數、內容 hash 與同步狀態),讓前端不需猜測檔名
+    // dry-run 不寫入任何資料,同步計畫是唯一的輸出
+    if (!dryRun) {
+      await writeDataManifest();
+    }
+
+    if (failedSports.length > 0) {
+      console.error(`❌ Calendar creation process finished with failures: ${failedSports.map(f => f.sportId).join(', ')}`);
+      return { success: false, results, failedSports };
+    }
+
     console.log('Calendar creation process completed successfully!');
-    return { success: true };
+    return { success: true, results, failedSports };
   } catch (error) {
     console.error('Failed to process tournaments:', error);
     throw error;
+  } finally {
+    await closeStorage();
+    await releaseRunLock();
   }
 }
 
 // 如果直接運行此文件（而非作為模組導入）
 if (process.argv[1] === new URL(import.meta.url).pathname) {
-  // 從命令行參數獲取運動 ID
-  const sportIds = process.argv.slice(2);
-  main(sportIds).catch(error => {
-    console.error('Application error:', error);
-    process.exit(1);
-  });
+  // 從命令行參數獲取運動 ID (--dry-run 只輸出同步計畫,--force-deletes 略過大量刪除的保護)
+  const args = process.argv.slice(2);
+  const sportIds = args.filter(arg => !['--dry-run', '--force-deletes'].includes(arg));
+  main(sportIds, {
+    dryRun: args.includes('--dry-run') || undefined,
+    forceDeletes: args.includes('--force-deletes') || undefined
+  })
+    .then(result => {
+      // 任一運動失敗時以非零狀態碼結束,讓排程 (GitHub Actions) 顯示失敗
+      if (!result.success) {
+        process.exitCode = 1;
+      }
+    })
+    .catch(error => {
+      console.error('Application error:', error);
+      process.exit(1);
+    });
 }
@@ -0,0 +1,309 @@
+/**
+ * Google Calendar Provider - 透過 googleapis 讀寫 Google Calendar
+ *
+ * 事件資料使用 Google Calendar API 的事件格式 ({ summary, location, start, end, ... })
+ * 第一次呼叫時才取得認證,dry-run 等不需要日曆的執行不需要憑證
+ *
+ * batchWrite 透過 batch endpoint 以一個 multipart/mixed 請求送出多筆寫入,
+ * 每筆寫入各自回傳成功或錯誤 (錯誤格式與 googleapis 相同: code / status / errors)
+ */
+
+import crypto from 'crypto';
+import { google } from 'googleapis';
+import { authorize } from '../utils/authenticate.js';
+
+// 單次 events.list 取得的事件數上限 (API 允許的最大值)
+const LIST_PAGE_SIZE = 2500;
+
+const BATCH_ENDPOINT = 'https://www.googleapis.com/batch/calendar/v3';
+
+// 單一 batch 請求的寫入數上限 (API 允許的最大值)
+const MAX_BATCH_SIZE = 1000;
+
+// batch 寫入類型對應的 HTTP 方法
+const BATCH_METHODS = {
+  create: 'POST',
+  update: 'PUT',
+  delete: 'DELETE'
+};
+
+export class GoogleCalendarProvider {
+  /**
+   * @param {Object} options - 設定
+   * @param {Object} options.auth - 已取得的認證客戶端 (可選,預設使用 authorize())
+   */
+  constructor(options = {}) {
+    this.type = 'google';
+    // 日曆可公開訂閱,日曆 ID 會寫入前端讀取的日曆註冊表 (calendars.json)
+    this.publishesCalendars = true;
+    this.auth = options.auth || null;
+    this.calendar = null;
+  }
+
+  /**
+   * 取得認證並建立 Google Calendar API 實例 (第一次使用時)
+   * @returns {Promise<Object>} Google Calendar API 實例
+   */
+  async connect() {
+    if (this.calendar) return this.calendar;
+
+    if (!this.auth) {
+      this.auth = await authorize();
+    }
+
+    this.calendar = google.calendar({ version: 'v3', auth: this.auth });
+    return this.calendar;
+  }
+
+  /**
+   * 取得日曆中的所有事件 (自動分頁)
+   * @param {string} calendarId - 日曆 ID
+   * @returns {Promise<Array>} 事件陣列
+   */
+  async listEvents(calendarId) {
+    const calendar = await this.connect();
+    const events = [];
+    let pageToken;
+
+    do {
+      const response = await calendar.events.list({
+        calendarId,
+        maxResults: LIST_PAGE_SIZE,
+        singleEvents: true,
+        pageToken
+      });
+
+      events.push(...(response.data.items || []));
+      pageToken = response.data.nextPageToken;
+    } while (pageToken);
+
+    return events;
+  }
+
+  /**
+   * 建立事件
+   * @param {string} calendarId - 日曆 ID
+   * @param {Object} eventData - 事件資料
+   * @returns {Promise<string>} 事件 ID
+   */
+  async createEvent(calendarId, eventData) {
+    const calendar = await this.connect();
+    const response = await calendar.events.insert({
+      calendarId,
+      requestBody: eventData
+    });
+
+    return response.data.id;
+  }
+
+  /**
+   * 更新事件 (整筆取代)
+   * @param {string} calendarId - 日曆 ID
+   * @param {string} eventId - 事件 ID
+   * @param {Object} eventData - 事件資料
+   */
+  async updateEvent(calendarId, eventId, eventData) {
+    const calendar = await this.connect();
+    await calendar.events.update({
+      calendarId,
+      eventId,
+      requestBody: eventData
+    });
+  }
+
+  /**
+   * 刪除事件
+   * @param {string} calendarId - 日曆 ID
+   * @param {string} eventId - 事件 ID
+   */
+  async deleteEvent(calendarId, eventId) {
+    const calendar = await this.connect();
+    await calendar.events.delete({
+      calendarId,
+      eventId
+    });
+  }
+
+  /**
+   * 以 batch endpoint 一次送出多筆寫入
+   * @param {Array} operations - [{ type: 'create' | 'update' | 'delete', calendarId, eventId, eventData }]
+   * @returns {Promise<Array>} 依序對應的結果 [{ id }] 或 [{ error }]
+   */
+  async batchWrite(operations) {
+    if (operations.length === 0) return [];
+    if (operations.length > MAX_BATCH_SIZE) {
+      throw new Error(`Calendar batch supports at most ${MAX_BATCH_SIZE} writes, got ${operations.length}`);
+    }
+
+    await this.connect();
+
+    const boundary = `batch_${crypto.randomUUID()}`;
+    const response = await this.auth.request({
+      url: BATCH_ENDPOINT,
+      method: 'POST',
+      headers: { 'Content-Type': `multipart/mixed; boundary=${boundary}` },
+      data: buildBatchBody(boundary, operations),
+      responseType: 'text'
+    });
+
+    const parts = parseBatchResponse(response.headers['content-type'], response.data);
+
+    return operations.map((operation, index) => {
+      const part = parts.get(index);
+      if (!part) {
+        return { error: createBatchError(500, `No response for batch item ${index} (${operation.type} ${operation.eventId || ''})`) };
+      }
+      if (part.status >= 300) {
+        const body = parseJson(part.body);
+        return { error: createBatchError(part.status, body?.error?.message || `HTTP ${part.status}`, body?.error?.errors) };
+      }
+      return operation.type === 'create' ? { id: parseJson(part.body)?.id } : {};
+    });
+  }
+
+  /**
+   * 依名稱取得日曆,不存在時建立
+   * @param {Object} calendarInfo - { summary, description, timeZone, colorId }
+   * @returns {Promise<Object>} { id, summary, created }
+   */
+  async ensureCalendar({ summary, description, timeZone = 'UTC', colorId }) {
+    const calendar = await this.connect();
+
+    const calendarListResponse = await calendar.calendarList.list();
+    const existingCalendar = (calendarListResponse.data.items || []).find(cal => cal.summary === summary);
+
+    if (existingCalendar) {
+      return { id: existingCalendar.id, summary: existingCalendar.summary, created: false };
+    }
+
+    const newCalendar = await calendar.calendars.insert({
+      requestBody: {
+        summary,
+        description,
+        timeZone
+      }
+    });
+
+    // 設置日曆顏色
+    if (colorId) {
+      await calendar.calendarList.update({
+        calendarId: newCalendar.data.id,
+        requestBody: {
+          colorId
+        }
+      });
+    }
+
+    return { id: newCalendar.data.id, summary: newCalendar.data.summary, created: true };
+  }
+
+  /**
+   * 將日曆設為公開可讀 (ACL 已存在時視為成功)
+   * @param {string} calendarId - 日曆 ID
+   */
+  async setPublicAcl(calendarId) {
+    const calendar = await this.connect();
+
+    try {
+      await calendar.acl.insert({
+        calendarId,
+        requestBody: {
+          role: 'reader',
+          scope: {
+            type: 'default'  // "default" 表示所有人
+          }
+        }
+      });
+    } catch (error) {
+      if (error.code !== 409) throw error;
+    }
+  }
+}
+
+/**
+ * 建立 batch 請求內容 (每筆寫入是一個 application/http 區塊,Content-ID 為寫入的索引)
+ * @param {string} boundary - multipart 分隔字串
+ * @param {Array} operations - 寫入清單
+ * @returns {string} 請求內容
+ */
+function buildBatchBody(boundary, operations) {
+  const parts = operations.map((operation, index) => {
+    const eventsPath = `/calendar/v3/calendars/${encodeURIComponent(operation.calendarId)}/events`;
+    const requestPath = operation.type === 'create' ? eventsPath : `${eventsPath}/${encodeURIComponent(operation.eventId)}`;
+    const lines = [
+      `--${boundary}`,
+      'Content-Type: application/http',
+      `Content-ID: <item${index}>`,
+      '',
+      `${BATCH_METHODS[operation.type]} ${requestPath} HTTP/1.1`
+    ];
+
+    if (operation.type === 'delete') {
+      lines.push('', '');
+    } else {
+      lines.push('Content-Type: application/json; charset=UTF-8', '', JSON.stringify(operation.eventData));
+    }
+
+    return lines.join('\r\n');
+  });
+
+  return `${parts.join('\r\n')}\r\n--${boundary}--`;
+}
+
+/**
+ * 解析 batch 回應
+ * @param {string} contentType - 回應的 Content-Type (包含 boundary)
+ * @param {string} body - 回應內容
+ * @returns {Map<number, Object>} 寫入索引 → { status, body }
+ */
+function parseBatchResponse(contentType, body) {
+  const boundary = /boundary=(?:"([^"]+)"|([^;\s]+))/i.exec(contentType || '');
+  if (!boundary) {
+    throw new Error(`Unexpected calendar batch response content type: ${contentType}`);
+  }
+
+  const parts = new Map();
+  for (const part of String(body).split(`--${boundary[1] || boundary[2]}`)) {
+    const contentId = /Content-ID:\s*<response-item(\d+)>/i.exec(part);
+    const statusLine = /HTTP\/1\.1 (\d{3})/.exec(part);
+    if (!contentId || !statusLine) continue;
+
+    // HTTP 狀態列之後的 header 與 body 以空行分隔
+    const httpResponse = part.slice(statusLine.index);
+    const bodyStart = httpResponse.search(/\r?\n\r?\n/);
+    parts.set(Number(contentId[1]), {
+      status: Number(statusLine[1]),
+      body: bodyStart === -1 ? '' : httpResponse.slice(bodyStart).trim()
+    });
+  }
+
+  return parts;
+}
+
+/**
+ * 建立與 googleapis 相同格式的錯誤
+ * @param {number} status - HTTP 狀態碼
+ * @param {string} message - 錯誤訊息
+ * @param {Array} errors - Google API 的錯誤明細 ([{ reason, message }])
+ * @returns {Error} 錯誤
+ */
+function createBatchError(status, message, errors = []) {
+  const error = new Error(message);
+  error.code = status;
+  error.status = status;
+  error.errors = errors;
+  return error;
+}
+
+/**
+ * 解析 JSON (內容不是 JSON 時為 null)
+ * @param {string} text - 文字
+ * @returns {*} 解析結果
+ */
+function parseJson(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return null;
+  }
+}
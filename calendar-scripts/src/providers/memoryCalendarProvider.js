@@ -0,0 +1,188 @@
+/**
+ * Memory Calendar Provider - 在記憶體中模擬 Google Calendar (測試與離線演練用)
+ *
+ * 不需要憑證,執行結束後資料即消失;產生的事件 ID 不存在於 Google Calendar,
+ * 因此不要與正式的同步狀態一起使用 (請搭配暫時的儲存後端,例如 STORAGE_SQLITE_PATH 指向暫存檔)
+ * publishesCalendars 為 false,同步時不會修改日曆註冊表
+ *
+ * 找不到日曆或事件時拋出 code 為 404 的錯誤,與 googleapis 的錯誤一致;寫入的事件與 Google Calendar 相同帶有 updated 時間
+ * calls 記錄每次寫入操作 ({ method, calendarId, eventId }),方便檢查同步行為;
+ * options.onWrite 在每筆寫入前呼叫,拋出錯誤即可模擬速率限制等 API 錯誤
+ */
+
+export class MemoryCalendarProvider {
+  /**
+   * @param {Object} options - 設定
+   * @param {Array} options.calendars - 初始日曆 [{ id, summary, events: [{ id, ...eventData }] }] (可選)
+   * @param {Function} options.onWrite - 每筆寫入前呼叫 (接收 { type, calendarId, eventId },可選)
+   */
+  constructor(options = {}) {
+    this.type = 'memory';
+    // 日曆只存在於記憶體,不寫入日曆註冊表 (避免以 memory-calendar-* 覆蓋提交的 calendars.json)
+    this.publishesCalendars = false;
+    this.calendars = new Map();
+    this.calls = [];
+    this.nextId = 1;
+    this.onWrite = options.onWrite || null;
+
+    for (const { events = [], ...calendarInfo } of options.calendars || []) {
+      this.calendars.set(calendarInfo.id, {
+        ...calendarInfo,
+        publicAcl: false,
+        events: new Map(events.map(event => [event.id, structuredClone(event)]))
+      });
+    }
+  }
+
+  /**
+   * 不需要認證,為了與其他 provider 相同的介面而保留
+   * @returns {Promise<MemoryCalendarProvider>} provider 本身
+   */
+  async connect() {
+    return this;
+  }
+
+  /**
+   * 取得日曆,不存在時拋出 404 錯誤
+   * @param {string} calendarId - 日曆 ID
+   * @returns {Object} 日曆
+   */
+  _getCalendar(calendarId) {
+    const calendar = this.calendars.get(calendarId);
+    if (!calendar) {
+      throw createNotFoundError(`Calendar ${calendarId} not found`);
+    }
+    return calendar;
+  }
+
+  /**
+   * 取得事件,不存在時拋出 404 錯誤
+   * @param {string} calendarId - 日曆 ID
+   * @param {string} eventId - 事件 ID
+   * @returns {Object} 事件所在的日曆
+   */
+  _getEventCalendar(calendarId, eventId) {
+    const calendar = this._getCalendar(calendarId);
+    if (!calendar.events.has(eventId)) {
+      throw createNotFoundError(`Event ${eventId} not found in calendar ${calendarId}`);
+    }
+    return calendar;
+  }
+
+  /**
+   * 取得日曆中的所有事件
+   * @param {string} calendarId - 日曆 ID
+   * @returns {Promise<Array>} 事件陣列 (複本)
+   */
+  async listEvents(calendarId) {
+    return [...this._getCalendar(calendarId).events.values()].map(event => structuredClone(event));
+  }
+
+  /**
+   * 建立事件
+   * @param {string} calendarId - 日曆 ID
+   * @param {Object} eventData - 事件資料
+   * @returns {Promise<string>} 事件 ID
+   */
+  async createEvent(calendarId, eventData) {
+    this.onWrite?.({ type: 'create', calendarId });
+    const calendar = this._getCalendar(calendarId);
+    const eventId = `memory-event-${this.nextId++}`;
+
+    calendar.events.set(eventId, { ...structuredClone(eventData), id: eventId, updated: new Date().toISOString() });
+    this.calls.push({ method: 'createEvent', calendarId, eventId });
+    return eventId;
+  }
+
+  /**
+   * 更新事件 (整筆取代)
+   * @param {string} calendarId - 日曆 ID
+   * @param {string} eventId - 事件 ID
+   * @param {Object} eventData - 事件資料
+   */
+  async updateEvent(calendarId, eventId, eventData) {
+    this.onWrite?.({ type: 'update', calendarId, eventId });
+    const calendar = this._getEventCalendar(calendarId, eventId);
+
+    calendar.events.set(eventId, { ...structuredClone(eventData), id: eventId, updated: new Date().toISOString() });
+    this.calls.push({ method: 'updateEvent', calendarId, eventId });
+  }
+
+  /**
+   * 刪除事件
+   * @param {string} calendarId - 日曆 ID
+   * @param {string} eventId - 事件 ID
+   */
+  async deleteEvent(calendarId, eventId) {
+    this.onWrite?.({ type: 'delete', calendarId, eventId });
+    const calendar = this._getEventCalendar(calendarId, eventId);
+
+    calendar.events.delete(eventId);
+    this.calls.push({ method: 'deleteEvent', calendarId, eventId });
+  }
+
+  /**
+   * 一次執行多筆寫入 (每筆各自成功或失敗,與 Google Calendar 的 batch 相同)
+   * @param {Array} operations - [{ type: 'create' | 'update' | 'delete', calendarId, eventId, eventData }]
+   * @returns {Promise<Array>} 依序對應的結果 [{ id }] 或 [{ error }]
+   */
+  async batchWrite(operations) {
+    this.calls.push({ method: 'batchWrite', size: operations.length });
+    const results = [];
+
+    for (const operation of operations) {
+      try {
+        if (operation.type === 'create') {
+          results.push({ id: await this.createEvent(operation.calendarId, operation.eventData) });
+        } else if (operation.type === 'update') {
+          await this.updateEvent(operation.calendarId, operation.eventId, operation.eventData);
+          results.push({});
+        } else {
+          await this.deleteEvent(operation.calendarId, operation.eventId);
+          results.push({});
+        }
+      } catch (error) {
+        results.push({ error });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * 依名稱取得日曆,不存在時建立
+   * @param {Object} calendarInfo - { summary, description, timeZone, colorId }
+   * @returns {Promise<Object>} { id, summary, created }
+   */
+  async ensureCalendar({ summary, description, timeZone = 'UTC', colorId }) {
+    for (const calendar of this.calendars.values()) {
+      if (calendar.summary === summary) {
+        return { id: calendar.id, summary, created: false };
+      }
+    }
+
+    const id = `memory-calendar-${this.nextId++}@memory`;
+    this.calendars.set(id, { id, summary, description, timeZone, colorId, publicAcl: false, events: new Map() });
+    this.calls.push({ method: 'ensureCalendar', calendarId: id });
+    return { id, summary, created: true };
+  }
+
+  /**
+   * 將日曆設為公開可讀
+   * @param {string} calendarId - 日曆 ID
+   */
+  async setPublicAcl(calendarId) {
+    this._getCalendar(calendarId).publicAcl = true;
+  }
+}
+
+/**
+ * 建立與 googleapis 相同格式的 404 錯誤
+ * @param {string} message - 錯誤訊息
+ * @returns {Error} 錯誤
+ */
+function createNotFoundError(message) {
+  const error = new Error(message);
+  error.code = 404;
+  return error;
+}
@@ -0,0 +1,37 @@
+import { GoogleCalendarProvider } from './googleCalendarProvider.js';
+import { MemoryCalendarProvider } from './memoryCalendarProvider.js';
+
+// 正式執行使用 Google Calendar
+const DEFAULT_PROVIDER = 'google';
+
+// 日曆 Provider 註冊表 (依 provider 類型)
+const providers = {
+  'google': GoogleCalendarProvider,
+  'memory': MemoryCalendarProvider
+};
+
+/**
+ * 建立指定類型的日曆 Provider
+ * @param {string} type - Provider 類型 (例如: 'google', 'memory',預設 google)
+ * @param {Object} options - Provider 設定 (可選)
+ * @returns {Object} Provider 實例
+ */
+export function createCalendarProvider(type = DEFAULT_PROVIDER, options = {}) {
+  const ProviderClass = providers[type];
+
+  if (!ProviderClass) {
+    throw new Error(`No calendar provider registered for type "${type}" (available: ${Object.keys(providers).join(', ')})`);
+  }
+
+  return new ProviderClass(options);
+}
+
+/**
+ * 註冊一個新的日曆 Provider
+ * @param {string} type - Provider 類型
+ * @param {Class} ProviderClass - Provider 類 (需提供與 GoogleCalendarProvider 相同的方法)
+ */
+export function registerCalendarProvider(type, ProviderClass) {
+  providers[type] = ProviderClass;
+  console.log(`Registered calendar provider ${type}`);
+}
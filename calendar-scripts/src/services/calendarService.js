@@ -1,15 +1,5 @@
-import { google } from 'googleapis';
-import fs from 'fs/promises';
-import path from 'path';
-import { fileURLToPath } from 'url';
-import { authorize } from '../utils/authenticate.js';
 import { updateCalendarInfo } from '../utils/calendarStorage.js';
-
-// 獲取當前目錄
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
-
-// Google Calendar API 範圍
-const SCOPES = ['https://www.googleapis.com/auth/calendar'];
+import { createCalendarProvider } from '../providers/providerFactory.js';
 
 // 日曆顏色對映（可用於不同體育類型）
 const CALENDAR_COLORS = {
@@ -21,9 +11,10 @@ const CALENDAR_COLORS = {
  * 為特定體育類型創建或更新 Google 日曆
  * @param {string} sportId - 體育 ID (例如: 'bwf')
  * @param {Object} data - 處理後的賽事數據
+ * @param {Object} provider - 日曆 Provider (可選,預設為 Google Calendar)
  * @returns {Promise<string>} 創建或更新的日曆 ID
  */
-export async function createOrUpdateCalendar(sportId, data) {
+export async function createOrUpdateCalendar(sportId, data, provider = createCalendarProvider()) {
   try {
     // 檢查是否有賽事數據
     if (!data || !data.tournaments || data.tournaments.length === 0) {
@@ -31,10 +22,9 @@ export async function createOrUpdateCalendar(sportId, data) {
       return null;
     }
     
-    // 嘗試獲取驗證客戶端
-    let auth;
+    // 嘗試連線到日曆 (Google Calendar 會在此取得認證)
     try {
-      auth = await getAuthClient();
+      await provider.connect();
     } catch (error) {
       console.warn(`Google Calendar authentication failed: ${error.message}`);
       console.warn('Calendar creation skipped. To create calendars, please set up Google Calendar credentials.');
@@ -43,16 +33,14 @@ export async function createOrUpdateCalendar(sportId, data) {
       return `mock-calendar-${sportId}`;
     }
     
-    const calendar = google.calendar({ version: 'v3', auth });
-    
     // 獲取或創建日曆
-    const calendarId = await getOrCreateCalendar(calendar, sportId);
+    const calendarId = await getOrCreateCalendar(provider, sportId);
     
     // 清除現有事件（可選，依據需求決定是否保留）
-    // await clearExistingEvents(calendar, calendarId);
+    // await clearExistingEvents(provider, calendarId);
     
     // 創建賽事事件
-    await createEvents(calendar, calendarId, data.tournaments, sportId);
+    await createEvents(provider, calendarId, data.tournaments, sportId);
     
     return calendarId;
   } catch (error) {
@@ -61,95 +49,36 @@ export async function createOrUpdateCalendar(sportId, data) {
   }
 }
 
-/**
- * 獲取 Google API 認證客戶端
- * @returns {Promise<google.auth.OAuth2>} 認證客戶端
- */
-async function getAuthClient() {
-  try {
-    // 使用 authenticate.js 中的 authorize 函數獲取認證
-    console.log('Getting Google API auth client...');
-    const auth = await authorize();
-    console.log('Successfully obtained auth client');
-    return auth;
-  } catch (error) {
-    console.error('Error getting auth client:', error);
-    throw error;
-  }
-}
-
 /**
  * 獲取或創建日曆
- * @param {google.calendar} calendar - Google Calendar API 實例
+ * @param {Object} provider - 日曆 Provider
  * @param {string} sportId - 體育 ID
  * @returns {Promise<string>} 日曆 ID
  */
-async function getOrCreateCalendar(calendar, sportId) {
+async function getOrCreateCalendar(provider, sportId) {
   try {
-    // 首先嘗試查找現有的日曆
-    const calendarListResponse = await calendar.calendarList.list();
-    const calendarList = calendarListResponse.data.items;
-    
-    // 創建日曆名稱和描述
-    const calendarName = getCalendarName(sportId);
-    const calendarDesc = getCalendarDescription(sportId);
-    
-    // 查找現有的日曆
-    const existingCalendar = calendarList.find(cal => cal.summary === calendarName);
-    
-    if (existingCalendar) {
-      console.log(`Found existing calendar for ${sportId}: ${existingCalendar.id}`);
-      
-      // 更新日曆 ID 到儲存中
-      await updateCalendarInfo(sportId, existingCalendar.id);
-      
-      // 確保現有日曆的權限設置是正確的
-      await updateCalendarAccessSettings(calendar, existingCalendar.id);
-      
-      // 顯示日曆訂閱資訊
-      displayCalendarInfo(existingCalendar);
-      
-      return existingCalendar.id;
-    }
-    
-    // 沒有找到現有日曆，創建新的
-    console.log(`Creating new calendar for ${sportId}...`);
-    const newCalendar = await calendar.calendars.insert({
-      requestBody: {
-        summary: calendarName,
-        description: calendarDesc,
-        timeZone: 'UTC'
-      }
+    // 查找現有的日曆，沒有找到時創建新的
+    const calendarInfo = await provider.ensureCalendar({
+      summary: getCalendarName(sportId),
+      description: getCalendarDescription(sportId),
+      timeZone: 'UTC',
+      colorId: CALENDAR_COLORS[sportId] || CALENDAR_COLORS.default
     });
     
-    // 獲取創建的日曆 ID
-    const calendarId = newCalendar.data.id;
-    
-    // 儲存日曆 ID
-    await updateCalendarInfo(sportId, calendarId);
+    console.log(`${calendarInfo.created ? 'Created new' : 'Found existing'} calendar for ${sportId}: ${calendarInfo.id}`);
     
-    // 設置日曆顏色
-    const colorId = CALENDAR_COLORS[sportId] || CALENDAR_COLORS.default;
-    await calendar.calendarList.update({
-      calendarId: calendarId,
-      requestBody: {
-        colorId
-      }
-    });
+    // 儲存日曆 ID (只有可公開訂閱的 provider 才寫入日曆註冊表)
+    if (provider.publishesCalendars) {
+      await updateCalendarInfo(sportId, calendarInfo.id);
+    }
     
-    // 設置日曆為公開可見
-    await updateCalendarAccessSettings(calendar, calendarId);
-    
-    // 獲取並顯示更新後的日曆信息
-    const updatedCalendar = await calendar.calendarList.get({
-      calendarId: calendarId
-    });
+    // 確保日曆的權限設置是正確的
+    await updateCalendarAccessSettings(provider, calendarInfo.id);
     
     // 顯示日曆訂閱資訊
-    displayCalendarInfo(updatedCalendar.data);
+    displayCalendarInfo(calendarInfo);
     
-    console.log(`Created new calendar for ${sportId}: ${calendarId}`);
-    return calendarId;
+    return calendarInfo.id;
   } catch (error) {
     console.error(`Error getting/creating calendar for ${sportId}:`, error);
     throw error;
@@ -158,23 +87,15 @@ async function getOrCreateCalendar(calendar, sportId) {
 
 /**
  * 更新日曆的訪問權限設置，確保公開可見但僅開發者可編輯
- * @param {google.calendar} calendar - Google Calendar API 實例
+ * @param {Object} provider - 日曆 Provider
  * @param {string} calendarId - 日曆 ID
  */
-async function updateCalendarAccessSettings(calendar, calendarId) {
+async function updateCalendarAccessSettings(provider, calendarId) {
   try {
     console.log(`Setting public access for calendar ${calendarId}...`);
     
     // 更新日曆的訪問控制列表 (ACL)
-    await calendar.acl.insert({
-      calendarId: calendarId,
-      requestBody: {
-        role: "reader",
-        scope: {
-          type: "default"  // "default" 表示所有人
-        }
-      }
-    });
+    await provider.setPublicAcl(calendarId);
     
     console.log('Calendar access settings updated successfully.');
   } catch (error) {
@@ -205,20 +126,16 @@ function displayCalendarInfo(calendar) {
 
 /**
  * 清除日曆中的現有事件
- * @param {google.calendar} calendar - Google Calendar API 實例
+ * @param {Object} provider - 日曆 Provider
  * @param {string} calendarId - 日曆 ID
  */
-async function clearExistingEvents(calendar, calendarId) {
+// eslint-disable-next-line no-unused-vars -- 保留給需要重建日曆時使用 (見 createOrUpdateCalendar)
+async function clearExistingEvents(provider, calendarId) {
   try {
     console.log(`Clearing existing events from calendar ${calendarId}...`);
     
     // 獲取現有事件
-    const eventsResponse = await calendar.events.list({
-      calendarId,
-      maxResults: 2500
-    });
-    
-    const events = eventsResponse.data.items;
+    const events = await provider.listEvents(calendarId);
     
     if (events.length === 0) {
       console.log('No existing events found.');
@@ -229,10 +146,7 @@ async function clearExistingEvents(calendar, calendarId) {
     
     // 刪除每個事件
     for (const event of events) {
-      await calendar.events.delete({
-        calendarId,
-        eventId: event.id
-      });
+      await provider.deleteEvent(calendarId, event.id);
     }
     
     console.log('All existing events cleared.');
@@ -244,12 +158,12 @@ async function clearExistingEvents(calendar, calendarId) {
 
 /**
  * 創建或更新賽事事件（含完整驗證）
- * @param {google.calendar} calendar - Google Calendar API 實例
+ * @param {Object} provider - 日曆 Provider
  * @param {string} calendarId - 日曆 ID
  * @param {Array} tournaments - 賽事數據數組
  * @param {string} sportId - 體育 ID
  */
-async function createEvents(calendar, calendarId, tournaments, sportId) {
+async function createEvents(provider, calendarId, tournaments, sportId) {
   if (!tournaments || tournaments.length === 0) {
     console.log(`No tournaments to add for ${sportId}`);
     return;
@@ -259,13 +173,7 @@ async function createEvents(calendar, calendarId, tournaments, sportId) {
 
   // 獲取日曆上所有現有事件
   // 注意：不使用 timeMin 限制，因為我們需要找到所有事件（包括過去的）來避免重複
-  const existingEventsResponse = await calendar.events.list({
-    calendarId,
-    maxResults: 2500,
-    singleEvents: true
-  });
-
-  const existingEvents = existingEventsResponse.data.items || [];
+  const existingEvents = await provider.listEvents(calendarId);
   console.log(`Found ${existingEvents.length} existing events in calendar`);
 
   // 建立事件映射表（用於快速查找）
@@ -320,20 +228,13 @@ async function createEvents(calendar, calendarId, tournaments, sportId) {
 
       if (!existingEvent) {
         // 事件不存在，建立新事件
-        await calendar.events.insert({
-          calendarId,
-          requestBody: eventData
-        });
+        await provider.createEvent(calendarId, eventData);
         console.log(`✅ Created: ${tournament.name}`);
         createdCount++;
       } else {
         // 事件已存在，檢查是否需要更新
         if (needsUpdate(existingEvent, eventData)) {
-          await calendar.events.update({
-            calendarId,
-            eventId: existingEvent.id,
-            requestBody: eventData
-          });
+          await provider.updateEvent(calendarId, existingEvent.id, eventData);
           console.log(`🔄 Updated: ${tournament.name}`);
           updatedCount++;
         } else {
@@ -351,10 +252,7 @@ async function createEvents(calendar, calendarId, tournaments, sportId) {
   for (const [key, event] of existingEventsMap.entries()) {
     if (!processedEventKeys.has(key)) {
       try {
-        await calendar.events.delete({
-          calendarId,
-          eventId: event.id
-        });
+        await provider.deleteEvent(calendarId, event.id);
         console.log(`🗑️  Deleted: ${event.summary}`);
         deletedCount++;
       } catch (error) {
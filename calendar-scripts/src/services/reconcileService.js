@@ -0,0 +1,218 @@
+/**
+ * Reconcile Service - 以日曆上的事件修正同步狀態 (每次同步前執行,也用於 repairSyncState)
+ *
+ * 每個日曆分段 (utils/calendarSegments.js) 分別修正,同一個賽事在不同分段的日曆中各有一個事件
+ *
+ * 1. 列出分段使用的日曆中的事件
+ * 2. 帶有來源識別 (extendedProperties.private,見 utils/eventStamp.js) 的事件:
+ *    - 同步狀態沒有記錄 → 採用 (adopt) 日曆上的事件
+ *    - 記錄的 Google Event ID 或 hash 與日曆不同 (同步狀態遺失後重建、還原到舊版本) → 重新連結 (relink)
+ *    - 同一個來源賽事有多個日曆事件 → 保留同步狀態記錄的那一個 (或最近更新的),其餘為重複事件
+ * 3. 同步狀態記錄的 Google Event ID 已不存在於日曆 → 移除記錄 (之後的同步計畫會重新建立)
+ * 4. 沒有來源識別的事件 (加入識別前建立) 以「名稱 + 開始日期」對應本地賽事:
+ *    - 對應到的賽事沒有記錄 → 採用,並在同步時更新以補上識別
+ *    - 對應到的賽事已對應到其他日曆事件 → 只記錄,不刪除 (可能是手動加入的同名事件);
+ *      確認都是舊的重複事件時以 SYNC_DELETE_UNSTAMPED_DUPLICATES=true 一併刪除
+ *    - 對應不到的事件不處理 (可能是手動加入的事件)
+ *
+ * 5. 重複事件 (帶有此運動來源識別的,以及上述選擇刪除的) 只回傳,不在此刪除: syncWithCalendar 將它們加入同步計畫,通過刪除上限檢查後才刪除;
+ *    repairSyncState 以 deleteRemoteDuplicates 刪除
+ *
+ * 從來源消失的賽事若仍在日曆上 (孤兒事件) 會被採用,再由同步計畫刪除
+ */
+
+import { createEventSyncState } from '../utils/syncStateSchema.js';
+import { readEventStamp } from '../utils/eventStamp.js';
+import { executeCalendarWrites } from '../utils/calendarWrites.js';
+
+/**
+ * 取得日曆事件的開始日期 (YYYY-MM-DD)
+ * @param {Object} remoteEvent - 日曆事件
+ * @returns {string} 開始日期
+ */
+function getRemoteStartDate(remoteEvent) {
+  return remoteEvent.start?.date || remoteEvent.start?.dateTime?.split('T')[0] || '';
+}
+
+/**
+ * 從同一來源賽事的多個日曆事件中選出要保留的一個
+ * @param {Array} candidates - [{ calendarId, event }]
+ * @param {Object|undefined} syncData - 同步狀態中的記錄
+ * @param {string|null} defaultCalendarId - 分段的日曆 ID
+ * @returns {Object} 保留的 { calendarId, event }
+ */
+function pickKeeper(candidates, syncData, defaultCalendarId) {
+  const recorded = syncData && candidates.find(candidate =>
+    candidate.event.id === syncData.googleEventId &&
+    candidate.calendarId === (syncData.calendarId || defaultCalendarId)
+  );
+  if (recorded) return recorded;
+
+  // 沒有記錄時保留最近更新的事件
+  return [...candidates].sort((a, b) => String(b.event.updated || '').localeCompare(String(a.event.updated || '')))[0];
+}
+
+/**
+ * 以日曆上的事件修正單一日曆的同步狀態 (直接修改 calendarState,不刪除日曆上的事件)
+ * @param {Object} provider - 日曆 Provider
+ * @param {string} sportId - 運動 ID
+ * @param {Object} calendarState - 日曆的同步狀態 ({ calendarId, events, pendingWrites },見 syncStateSchema.js)
+ * @param {Array} localEvents - 屬於此日曆的本地標準化賽事 (用於對應沒有來源識別的舊事件,可選)
+ * @param {Object} options - 設定 (可選)
+ * @param {boolean} options.deleteUnstamped - 沒有來源識別的重複事件也列為重複 (預設依 SYNC_DELETE_UNSTAMPED_DUPLICATES)
+ * @returns {Promise<Object>} { adopted, relinked, dropped, duplicates: [{ calendarId, eventId, event }], unstampedDuplicates, restampIds, skippedCalendars }
+ */
+export async function reconcileSyncState(provider, sportId, calendarState, localEvents = [], options = {}) {
+  const deleteUnstamped = options.deleteUnstamped ?? process.env.SYNC_DELETE_UNSTAMPED_DUPLICATES === 'true';
+  const result = { adopted: 0, relinked: 0, dropped: 0, duplicates: [], unstampedDuplicates: 0, restampIds: new Set(), skippedCalendars: [] };
+  const defaultCalendarId = calendarState.calendarId;
+  const events = calendarState.events;
+
+  // 1. 列出每個日曆的事件 (日曆不存在時視為沒有事件,無法列出時不修正該日曆的記錄)
+  const calendarIds = new Set(
+    [defaultCalendarId, ...Object.values(events).map(syncData => syncData.calendarId)].filter(Boolean)
+  );
+  const remoteEvents = new Map();
+  for (const calendarId of calendarIds) {
+    try {
+      const listed = await provider.listEvents(calendarId);
+      remoteEvents.set(calendarId, listed.filter(event => event.status !== 'cancelled'));
+    } catch (error) {
+      if (error.code === 404) {
+        console.warn(`⚠️  Calendar ${calendarId} not found, dropping its events from sync state`);
+        remoteEvents.set(calendarId, []);
+      } else {
+        console.error(`Error listing events in calendar ${calendarId}, skipping reconcile for it:`, error.message);
+        result.skippedCalendars.push(calendarId);
+      }
+    }
+  }
+
+  const stampedGroups = new Map();
+  const unstamped = [];
+  const remoteIds = new Map();
+  for (const [calendarId, listed] of remoteEvents) {
+    remoteIds.set(calendarId, new Set(listed.map(event => event.id)));
+
+    for (const event of listed) {
+      const stamp = readEventStamp(event);
+      if (!stamp) {
+        unstamped.push({ calendarId, event });
+      } else if (stamp.sportId === sportId) {
+        if (!stampedGroups.has(stamp.sourceEventId)) stampedGroups.set(stamp.sourceEventId, []);
+        stampedGroups.get(stamp.sourceEventId).push({ calendarId, event, stamp });
+      }
+    }
+  }
+
+  // 2. 帶有來源識別的事件: 採用並移除重複
+  for (const [eventId, candidates] of stampedGroups) {
+    const syncData = events[eventId];
+    const keeper = pickKeeper(candidates, syncData, defaultCalendarId);
+
+    for (const candidate of candidates) {
+      if (candidate !== keeper) result.duplicates.push({ calendarId: candidate.calendarId, eventId, event: candidate.event });
+    }
+
+    // 記錄與日曆事件一致時不需修正;hash 不同表示同步狀態是舊版本,以日曆上的 hash 為準 (舊的欄位快照不再適用)
+    if (
+      syncData?.googleEventId === keeper.event.id &&
+      syncData.hash === keeper.stamp.contentHash &&
+      (syncData.renderHash || null) === keeper.stamp.renderHash
+    ) continue;
+
+    if (!syncData) {
+      console.log(`🔗 Adopting ${eventId} from calendar event ${keeper.event.id}`);
+      result.adopted++;
+    } else {
+      console.log(`🔗 Relinking ${eventId} to calendar event ${keeper.event.id}`);
+      result.relinked++;
+    }
+
+    events[eventId] = {
+      ...createEventSyncState({
+        googleEventId: keeper.event.id,
+        calendarId: keeper.calendarId,
+        hash: keeper.stamp.contentHash,
+        renderHash: keeper.stamp.renderHash
+      }),
+      ...(keeper.stamp.hashVersion !== null ? { hashVersion: keeper.stamp.hashVersion } : {})
+    };
+  }
+
+  // 3. 記錄的 Google Event ID 已不存在於日曆
+  for (const [eventId, syncData] of Object.entries(events)) {
+    const ids = remoteIds.get(syncData.calendarId || defaultCalendarId);
+    if (ids && !ids.has(syncData.googleEventId)) {
+      console.log(`❌ Event ${eventId} not found in calendar, removing from sync state`);
+      delete events[eventId];
+      result.dropped++;
+    }
+  }
+
+  // 4. 沒有來源識別的舊事件: 以名稱 + 開始日期對應本地賽事
+  const localByKey = new Map();
+  for (const event of localEvents) {
+    if (event.missingSince || !event.dateStart) continue;
+    localByKey.set(`${event.name}|${event.dateStart.split('T')[0]}`, event);
+  }
+
+  for (const candidate of unstamped) {
+    const localEvent = localByKey.get(`${candidate.event.summary}|${getRemoteStartDate(candidate.event)}`);
+    if (!localEvent) continue;
+
+    const syncData = events[localEvent.id];
+    if (syncData?.googleEventId === candidate.event.id) {
+      // 已對應,同步時補上來源識別
+      result.restampIds.add(localEvent.id);
+    } else if (!syncData) {
+      console.log(`🔗 Adopting ${localEvent.id} from unstamped calendar event ${candidate.event.id}`);
+      events[localEvent.id] = createEventSyncState({ googleEventId: candidate.event.id, calendarId: candidate.calendarId, hash: '' });
+      result.restampIds.add(localEvent.id);
+      result.adopted++;
+    } else if (deleteUnstamped) {
+      result.duplicates.push({ calendarId: candidate.calendarId, eventId: localEvent.id, event: candidate.event });
+    } else {
+      // 沒有來源識別,無法確定是同步建立的事件 (可能是手動加入的),不自動刪除
+      console.warn(
+        `⚠️  Unstamped calendar event ${candidate.event.id} "${candidate.event.summary}" matches ${localEvent.id}, ` +
+        'which is already synced to another event; leaving it (set SYNC_DELETE_UNSTAMPED_DUPLICATES=true to delete)'
+      );
+      result.unstampedDuplicates++;
+    }
+  }
+
+  console.log(
+    `🔎 Reconciled ${sportId}: ${result.adopted} adopted, ${result.relinked} relinked, ${result.dropped} dropped, ` +
+    `${result.duplicates.length} duplicates found, ${result.unstampedDuplicates} unstamped duplicates left, ${result.restampIds.size} to re-stamp`
+  );
+
+  return result;
+}
+
+/**
+ * 刪除日曆上的重複事件 (reconcileSyncState 的 duplicates;已不存在的事件視為刪除成功)
+ * @param {Object} provider - 日曆 Provider
+ * @param {Array} duplicates - [{ calendarId, eventId, event }]
+ * @returns {Promise<number>} 刪除的事件數
+ */
+export async function deleteRemoteDuplicates(provider, duplicates) {
+  if (duplicates.length === 0) return 0;
+
+  console.log(`🧹 Deleting ${duplicates.length} duplicate calendar events...`);
+  const deleteResults = await executeCalendarWrites(
+    provider,
+    duplicates.map(({ calendarId, event }) => ({ type: 'delete', calendarId, eventId: event.id }))
+  );
+
+  let deleted = 0;
+  deleteResults.forEach((deleteResult, index) => {
+    if (deleteResult.ok || [404, 410].includes(deleteResult.error.code)) {
+      deleted++;
+    } else {
+      console.error(`❌ Failed to delete duplicate event ${duplicates[index].event.id}:`, deleteResult.error.message);
+    }
+  });
+
+  return deleted;
+}
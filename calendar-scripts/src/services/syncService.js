@@ -1,8 +1,14 @@
-import { google } from 'googleapis';
-import { authorize } from '../utils/authenticate.js';
-import { loadSyncState, saveSyncState } from '../utils/syncStateManager.js';
-import { calculateEventHash } from '../utils/hashUtils.js';
-import { updateCalendarInfo } from '../utils/calendarStorage.js';
+import { loadSyncState, loadAllSyncStates, saveSyncState } from '../utils/syncStateManager.js';
+import { getHashFields } from '../utils/hashUtils.js';
+import { createEventSyncState, getCalendarSyncState } from '../utils/syncStateSchema.js';
+import { loadCalendars, updateCalendarInfo } from '../utils/calendarStorage.js';
+import { loadCalendarSegments, filterSegmentEvents, getSegmentLabel } from '../utils/calendarSegments.js';
+import { buildSyncPlan, formatSyncPlan, writeSyncPlan } from '../utils/syncPlan.js';
+import { executeCalendarWrites } from '../utils/calendarWrites.js';
+import { buildEventStamp } from '../utils/eventStamp.js';
+import { renderEvent } from '../utils/eventRenderer.js';
+import { checkDeletionGuard, formatDeletionGuardReport, createDeletionGuardError } from '../utils/deletionGuard.js';
+import { reconcileSyncState, deleteRemoteDuplicates } from './reconcileService.js';
 
 // 日曆顏色對映
 const CALENDAR_COLORS = {
@@ -11,123 +17,148 @@ const CALENDAR_COLORS = {
 };
 
 /**
- * 同步賽事到 Google Calendar
+ * 同步賽事到日曆 (每個日曆分段各自比對與寫入,見 utils/calendarSegments.js)
+ * @param {Object} provider - 日曆 Provider (見 providers/providerFactory.js)
  * @param {string} sportId - 運動 ID
  * @param {Array} localEvents - 本地標準化的賽事資料
- * @returns {Promise<Object>} 同步結果統計
+ * @param {Object} options - 設定 (可選)
+ * @param {boolean} options.dryRun - 只計算並輸出同步計畫,不呼叫 provider 也不寫入同步狀態
+ * @param {boolean} options.forceDeletes - 略過大量刪除的保護 (見 utils/deletionGuard.js)
+ * @returns {Promise<Object>} 同步結果 { success, calendars: { [segmentKey]: { calendarId, stats } }, stats } (dry-run 時見 planCalendarSync)
  */
-export async function syncWithCalendar(sportId, localEvents) {
+export async function syncWithCalendar(provider, sportId, localEvents, options = {}) {
+  if (options.dryRun) {
+    return planCalendarSync(sportId, localEvents, options);
+  }
+
   console.log(`\n🔄 Starting sync for ${sportId}...`);
 
   try {
-    // 1. 取得認證
-    const auth = await authorize();
-    const calendar = google.calendar({ version: 'v3', auth });
-
-    // 2. 取得或建立日曆
-    const calendarId = await getOrCreateCalendar(calendar, sportId);
-
-    // 3. 載入同步狀態
-    const syncState = await loadSyncState();
-    const sportSyncState = syncState.sports[sportId] || {
-      calendarId,
-      events: {},
-      stats: { totalEvents: 0, lastUpdate: new Date().toISOString() }
-    };
-
-    // 4. 建立本地事件映射表
-    const localEventsMap = new Map();
-    for (const event of localEvents) {
-      localEventsMap.set(event.id, event);
+    // 1. 連線到日曆 (Google Calendar 會在此取得認證)
+    await provider.connect();
+
+    // 2. 載入同步狀態 (只讀寫此運動的分片) 與日曆分段
+    const sportSyncState = await loadSyncState(sportId);
+    const segments = await loadCalendarSegments(sportId);
+    warnUnconfiguredCalendars(sportSyncState, segments);
+
+    // 3. 每個日曆: 取得或建立日曆、以日曆上事件的來源識別修正同步狀態、建立同步計畫 (日曆上的重複事件也列入計畫)
+    const calendarSyncs = [];
+    for (const segment of segments) {
+      calendarSyncs.push(await prepareCalendarSync(provider, sportId, sportSyncState, segment, localEvents));
     }
 
-    // 5. 同步統計
-    const stats = {
-      created: 0,
-      updated: 0,
-      deleted: 0,
-      unchanged: 0
-    };
-
-    // 6. 處理本地事件 (CREATE / UPDATE / SKIP)
-    for (const [eventId, event] of localEventsMap.entries()) {
-      const existingSync = sportSyncState.events[eventId];
-      const eventHash = calculateEventHash(event);
-
-      if (!existingSync) {
-        // CREATE: 事件不存在於 sync-state
-        console.log(`📝 Creating: ${event.name}`);
-        try {
-          const googleEventId = await createCalendarEvent(calendar, calendarId, event);
-
-          sportSyncState.events[eventId] = {
-            googleEventId,
-            lastSynced: new Date().toISOString(),
-            hash: eventHash
-          };
-          stats.created++;
-        } catch (error) {
-          console.error(`❌ Failed to create ${event.name}:`, error.message);
+    // 4. 任一日曆的刪除數超過上限時中止,不送出任何寫入 (來源只回傳部分賽事或映射失效時避免清空訂閱者的日曆)
+    const blocked = calendarSyncs.filter(({ guard }) => guard.blocked);
+    if (blocked.length > 0) {
+      if (!options.forceDeletes) {
+        for (const { plan, guard } of blocked) {
+          const planFile = await writeSyncPlan(plan);
+          console.error(formatDeletionGuardReport(plan, guard));
+          console.error(`📝 Wrote sync plan to ${planFile}`);
         }
+        throw createDeletionGuardError(blocked[0].plan, blocked[0].guard);
+      }
+      for (const { plan, guard } of blocked) {
+        console.warn(`⚠️  Deleting ${guard.deleteCount} calendar events for ${getSegmentLabel(sportId, plan.segment)} over the mass deletion limit (forced)`);
+      }
+    }
 
-      } else if (existingSync.hash !== eventHash) {
-        // UPDATE: hash 不同,需要更新
-        console.log(`🔄 Updating: ${event.name}`);
-        try {
-          await updateCalendarEvent(calendar, calendarId, existingSync.googleEventId, event);
-
-          existingSync.hash = eventHash;
-          existingSync.lastSynced = new Date().toISOString();
-          stats.updated++;
-        } catch (error) {
-          console.error(`❌ Failed to update ${event.name}:`, error.message);
-        }
+    // 5. 依計畫整理寫入 (CREATE / UPDATE / DELETE,包含重複事件的刪除),SKIP 與 KEEP 不需寫入
+    const writes = [];
+    for (const calendarSync of calendarSyncs) {
+      writes.push(...collectCalendarWrites(sportId, calendarSync));
+    }
 
-      } else {
-        // SKIP: hash 相同,無變更
-        console.log(`⏭️  Unchanged: ${event.name}`);
-        stats.unchanged++;
-      }
+    // 6. 所有日曆的寫入一起以 batch 送出 (速率限制時退避重試)
+    if (writes.length > 0) {
+      console.log(`\n📤 Sending ${writes.length} calendar writes...`);
+    }
+    const writeResults = await executeCalendarWrites(provider, writes.map(write => write.operation));
+
+    // 7. 依寫入結果更新同步狀態,仍失敗的寫入記錄到 pendingWrites,下次同步重新送出
+    const previousPendingWrites = new Map();
+    for (const { calendarState } of calendarSyncs) {
+      previousPendingWrites.set(calendarState, calendarState.pendingWrites);
+      calendarState.pendingWrites = {};
     }
 
-    // 7. 刪除不再存在的事件 (DELETE)
-    const existingEventIds = Object.keys(sportSyncState.events);
-    for (const eventId of existingEventIds) {
-      if (!localEventsMap.has(eventId)) {
-        console.log(`🗑️  Deleting: ${eventId}`);
-        const syncData = sportSyncState.events[eventId];
-
-        try {
-          await deleteCalendarEvent(calendar, calendarId, syncData.googleEventId);
-          delete sportSyncState.events[eventId];
-          stats.deleted++;
-        } catch (error) {
-          console.error(`❌ Error deleting ${eventId}:`, error.message);
+    writes.forEach(({ action, calendarSync }, index) => {
+      const result = writeResults[index];
+      const { calendarState, stats } = calendarSync;
+
+      // 要刪除的事件已不存在於日曆時視為刪除成功
+      const alreadyDeleted = action.type === 'delete' && !result.ok && [404, 410].includes(result.error.code);
+
+      if (action.reason === 'duplicate') {
+        // 重複事件不在同步狀態中,刪除失敗時下次同步的 reconcile 會再找到
+        if (result.ok || alreadyDeleted) {
+          stats.remoteDuplicatesDeleted++;
+        } else {
+          console.error(`❌ Failed to delete duplicate event ${action.googleEventId}:`, result.error.message);
         }
+
+      } else if (!result.ok && !alreadyDeleted) {
+        console.error(`❌ Failed to ${action.type} ${action.name || action.eventId} after ${result.attempts} attempts:`, result.error.message);
+        calendarState.pendingWrites[action.eventId] = {
+          type: action.type,
+          attempts: (previousPendingWrites.get(calendarState)[action.eventId]?.attempts || 0) + result.attempts,
+          lastError: result.error.message,
+          lastAttempt: new Date().toISOString()
+        };
+        stats.failed++;
+
+      } else if (action.type === 'delete') {
+        delete calendarState.events[action.eventId];
+        stats.deleted++;
+
+      } else {
+        calendarState.events[action.eventId] = createEventSyncState({
+          googleEventId: action.type === 'create' ? result.id : action.googleEventId,
+          calendarId: action.calendarId,
+          hash: action.hash,
+          renderHash: action.renderHash,
+          fields: getHashFields(action.event)
+        });
+        stats[action.type === 'create' ? 'created' : 'updated']++;
       }
-    }
+    });
 
-    // 8. 更新同步狀態
+    // 8. 更新同步狀態 (status 與 lastResult 會輸出到 public/data/index.json)
+    const stats = sumCalendarStats(calendarSyncs.map(calendarSync => calendarSync.stats));
     sportSyncState.stats = {
       totalEvents: localEvents.length,
-      lastUpdate: new Date().toISOString()
+      lastUpdate: new Date().toISOString(),
+      status: stats.failed > 0 ? 'partial' : 'success',
+      lastResult: { ...stats }
     };
 
-    syncState.sports[sportId] = sportSyncState;
-    syncState.lastSync = new Date().toISOString();
-    await saveSyncState(syncState);
+    sportSyncState.lastSync = new Date().toISOString();
+    await saveSyncState(sportSyncState);
 
-    // 9. 輸出統計
+    // 9. 輸出統計 (所有日曆的合計)
     console.log(`\n📊 Sync Summary for ${sportId}:`);
     console.log(`   Created: ${stats.created}`);
     console.log(`   Updated: ${stats.updated}`);
     console.log(`   Unchanged: ${stats.unchanged}`);
+    console.log(`   Missing (kept): ${stats.missing}`);
+    console.log(`   Re-renders deferred: ${stats.deferred}`);
     console.log(`   Deleted: ${stats.deleted}`);
+    console.log(`   Failed (re-queued): ${stats.failed}`);
+    console.log(`   Duplicate IDs: ${stats.duplicates}`);
+    console.log(`   Adopted from calendar: ${stats.adopted}`);
+    console.log(`   Calendar duplicates deleted: ${stats.remoteDuplicatesDeleted}`);
+    console.log(`   Calendars: ${calendarSyncs.map(({ plan, events }) => `${getSegmentLabel(sportId, plan.segment)} (${events.length} events)`).join(', ')}`);
     console.log(`   Total: ${localEvents.length}\n`);
 
+    const calendars = {};
+    for (const { plan, stats: calendarStats } of calendarSyncs) {
+      calendars[plan.segment] = { calendarId: plan.calendarId, stats: calendarStats };
+    }
+
     return {
       success: true,
-      calendarId,
+      calendars,
       stats
     };
 
@@ -138,284 +169,324 @@ export async function syncWithCalendar(sportId, localEvents) {
 }
 
 /**
- * 建立 Google Calendar 事件
- * @param {google.calendar} calendar - Google Calendar API 實例
- * @param {string} calendarId - 日曆 ID
- * @param {Object} event - 事件物件
- * @returns {Promise<string>} Google Event ID
+ * 準備單一日曆的同步: 取得或建立日曆、修正同步狀態、建立同步計畫並檢查刪除上限
+ * @param {Object} provider - 日曆 Provider
+ * @param {string} sportId - 運動 ID
+ * @param {Object} sportSyncState - 運動的同步狀態分片
+ * @param {Object} segment - 日曆分段
+ * @param {Array} localEvents - 本地標準化的賽事資料 (所有分段)
+ * @returns {Promise<Object>} { calendarState, events, plan, guard, stats }
  */
-async function createCalendarEvent(calendar, calendarId, event) {
-  const eventData = buildEventData(event);
+async function prepareCalendarSync(provider, sportId, sportSyncState, segment, localEvents) {
+  const calendarId = await getOrCreateCalendar(provider, sportId, segment);
 
-  const response = await calendar.events.insert({
-    calendarId,
-    requestBody: eventData
-  });
+  const calendarState = getCalendarSyncState(sportSyncState, segment.key);
+  calendarState.calendarId = calendarId;
 
-  return response.data.id;
-}
+  // 只比對屬於此日曆的賽事,不再符合規則的賽事會從此日曆刪除
+  const events = filterSegmentEvents(localEvents, segment);
 
-/**
- * 更新 Google Calendar 事件
- * @param {google.calendar} calendar - Google Calendar API 實例
- * @param {string} calendarId - 日曆 ID
- * @param {string} googleEventId - Google Event ID
- * @param {Object} event - 事件物件
- */
-async function updateCalendarEvent(calendar, calendarId, googleEventId, event) {
-  const eventData = buildEventData(event);
+  // reconcile 不刪除日曆上的事件,重複事件列入計畫,與其他刪除一起受刪除上限檢查
+  const reconcile = await reconcileSyncState(provider, sportId, calendarState, events);
 
-  await calendar.events.update({
-    calendarId,
-    eventId: googleEventId,
-    requestBody: eventData
+  // 與 dry-run 相同的比對邏輯
+  const plan = buildSyncPlan(sportId, events, calendarState, calendarId, {
+    segment: segment.key,
+    restampIds: reconcile.restampIds,
+    remoteDuplicates: reconcile.duplicates
   });
-}
+  const guard = checkDeletionGuard(plan, Object.keys(calendarState.events).length + reconcile.duplicates.length);
+
+  const stats = {
+    created: 0,
+    updated: 0,
+    deleted: 0,
+    unchanged: 0,
+    missing: 0,
+    deferred: 0,
+    failed: 0,
+    duplicates: plan.summary.duplicates,
+    adopted: reconcile.adopted + reconcile.relinked,
+    remoteDuplicatesDeleted: 0
+  };
 
-/**
- * 刪除 Google Calendar 事件
- * @param {google.calendar} calendar - Google Calendar API 實例
- * @param {string} calendarId - 日曆 ID
- * @param {string} googleEventId - Google Event ID
- */
-async function deleteCalendarEvent(calendar, calendarId, googleEventId) {
-  await calendar.events.delete({
-    calendarId,
-    eventId: googleEventId
-  });
+  return { calendarState, events, plan, guard, stats };
 }
 
 /**
- * 建立事件資料結構
- * @param {Object} event - 事件物件
- * @returns {Object} Google Calendar 事件資料
+ * 依同步計畫整理單一日曆的寫入 (SKIP、KEEP 與 DEFER 只更新統計)
+ * @param {string} sportId - 運動 ID
+ * @param {Object} calendarSync - prepareCalendarSync 的結果
+ * @returns {Array<Object>} [{ action, operation, calendarSync }]
  */
-function buildEventData(event) {
-  return {
-    summary: event.name,
-    location: formatLocation(event.location),
-    description: event.description || '',
-    start: {
-      date: formatDate(event.dateStart),
-      timeZone: 'UTC'
-    },
-    end: {
-      date: formatDate(event.dateEnd, true),
-      timeZone: 'UTC'
-    },
-    transparency: 'transparent',
-    visibility: 'public',
-    source: {
-      title: `${event.source} Calendar`,
-      url: event.url || ''
+function collectCalendarWrites(sportId, calendarSync) {
+  const { plan, stats } = calendarSync;
+  const writes = [];
+
+  for (const action of plan.actions) {
+    if (action.type === 'missing') {
+      // KEEP: 從來源消失但仍在保留期間,保留日曆事件不建立也不更新 (超過期間後由 storageManager 移除,再由下方刪除)
+      console.log(`👻 Missing since ${action.missingSince}: ${action.name}`);
+      stats.missing++;
+
+    } else if (action.type === 'create') {
+      // CREATE: 事件不存在於此日曆的 sync-state
+      console.log(`📝 Creating: ${action.name}`);
+      writes.push({ action, calendarSync, operation: { type: 'create', calendarId: action.calendarId, eventData: buildEventData(sportId, action.event, action.hash, action.renderHash) } });
+
+    } else if (action.type === 'update') {
+      // UPDATE: hash 不同 (或以不同版本的 hash 演算法計算、事件格式改變、缺少來源識別),需要更新
+      console.log(`🔄 Updating: ${action.name}`);
+      writes.push({
+        action,
+        calendarSync,
+        operation: { type: 'update', calendarId: action.calendarId, eventId: action.googleEventId, eventData: buildEventData(sportId, action.event, action.hash, action.renderHash) }
+      });
+
+    } else if (action.type === 'deferred') {
+      // DEFER: 只因格式改變的更新超過每次同步的上限,留到下次同步
+      stats.deferred++;
+
+    } else if (action.type === 'delete') {
+      // DELETE: 本地已不存在 (或不再屬於此日曆) 的事件
+      console.log(`🗑️  Deleting: ${action.eventId}${action.reason === 'duplicate' ? ` (duplicate calendar event ${action.googleEventId})` : ''}`);
+      writes.push({ action, calendarSync, operation: { type: 'delete', calendarId: action.calendarId, eventId: action.googleEventId } });
+
+    } else {
+      // SKIP: hash 相同,無變更
+      console.log(`⏭️  Unchanged: ${action.name}`);
+      stats.unchanged++;
     }
-  };
+  }
+
+  if (stats.deferred > 0) {
+    console.log(`⏳ Deferring ${stats.deferred} re-renders for ${getSegmentLabel(sportId, plan.segment)} to the next sync (SYNC_MAX_RERENDERS)`);
+  }
+
+  return writes;
 }
 
 /**
- * 格式化位置資訊
- * @param {Object} location - 位置物件
- * @returns {string} 格式化的位置字串
+ * 合計各日曆的同步統計
+ * @param {Array<Object>} calendarStats - 各日曆的統計
+ * @returns {Object} 合計的統計
  */
-function formatLocation(location) {
-  if (!location) return '';
+function sumCalendarStats(calendarStats) {
+  const total = {};
+  for (const stats of calendarStats) {
+    for (const [key, value] of Object.entries(stats)) {
+      total[key] = (total[key] || 0) + value;
+    }
+  }
 
-  return [location.venue, location.city, location.country]
-    .filter(Boolean)
-    .join(', ');
+  // 重複的本地賽事 ID 與分段無關,不重複計算
+  total.duplicates = Math.max(0, ...calendarStats.map(stats => stats.duplicates));
+  return total;
 }
 
 /**
- * 格式化日期為 YYYY-MM-DD 格式
- * @param {string} dateString - ISO 日期字串
- * @param {boolean} isEndDate - 是否為結束日期 (Google Calendar 需要加一天)
- * @returns {string} 格式化的日期
+ * 提示同步狀態中已不在日曆分段設定裡的日曆 (保留記錄與日曆上的事件,不再同步)
+ * @param {Object} sportSyncState - 運動的同步狀態分片
+ * @param {Array<Object>} segments - 日曆分段
  */
-function formatDate(dateString, isEndDate = false) {
-  let dateStr = dateString.split('T')[0];
-
-  // Google Calendar 的全天事件結束日期需要是「隔天」
-  if (isEndDate) {
-    const date = new Date(dateStr + 'T00:00:00Z');
-    date.setUTCDate(date.getUTCDate() + 1);
-    dateStr = date.toISOString().split('T')[0];
+function warnUnconfiguredCalendars(sportSyncState, segments) {
+  const configuredKeys = new Set(segments.map(segment => segment.key));
+
+  for (const [segmentKey, calendarState] of Object.entries(sportSyncState.calendars)) {
+    if (!configuredKeys.has(segmentKey)) {
+      console.warn(
+        `⚠️  Calendar ${getSegmentLabel(sportSyncState.sportId, segmentKey)} (${calendarState.calendarId}) is no longer configured, ` +
+        'leaving its events as they are'
+      );
+    }
   }
-
-  return dateStr;
 }
 
 /**
- * 取得或建立日曆
- * @param {google.calendar} calendar - Google Calendar API 實例
+ * 計算並輸出每個日曆的同步計畫 (dry-run: 不取得認證、不呼叫 Google Calendar API,也不寫入同步狀態)
  * @param {string} sportId - 運動 ID
- * @returns {Promise<string>} 日曆 ID
+ * @param {Array} localEvents - 本地標準化的賽事資料
+ * @param {Object} options - 設定 ({ forceDeletes },可選)
+ * @returns {Promise<Object>} { success, dryRun, calendars: { [segmentKey]: { calendarId, plan, planFile, deletionGuard } } }
  */
-async function getOrCreateCalendar(calendar, sportId) {
+async function planCalendarSync(sportId, localEvents, options = {}) {
+  console.log(`\n📋 Planning sync for ${sportId} (dry run, Google Calendar will not be modified)...`);
+
   try {
-    // 查找現有的日曆
-    const calendarListResponse = await calendar.calendarList.list();
-    const calendarList = calendarListResponse.data.items;
+    const sportSyncState = await loadSyncState(sportId);
+    const segments = await loadCalendarSegments(sportId);
+    warnUnconfiguredCalendars(sportSyncState, segments);
 
-    const calendarName = getCalendarName(sportId);
-    const calendarDesc = getCalendarDescription(sportId);
+    const { calendars: registry } = await loadCalendars();
+    const calendars = {};
 
-    // 查找現有的日曆
-    const existingCalendar = calendarList.find(cal => cal.summary === calendarName);
+    for (const segment of segments) {
+      // 不修改載入的分片 (dry-run 不寫入同步狀態)
+      const calendarState = sportSyncState.calendars[segment.key] || { calendarId: null, events: {}, pendingWrites: {} };
 
-    if (existingCalendar) {
-      console.log(`Found existing calendar for ${sportId}: ${existingCalendar.id}`);
+      // 尚未同步過時改用日曆註冊表中的日曆 ID (日曆尚未建立時為 null)
+      const calendarId = calendarState.calendarId || registry[getSegmentLabel(sportId, segment.key)]?.id || null;
 
-      // 更新日曆 ID 到儲存中
-      await updateCalendarInfo(sportId, existingCalendar.id);
+      const plan = buildSyncPlan(sportId, filterSegmentEvents(localEvents, segment), calendarState, calendarId, { segment: segment.key });
+      const planFile = await writeSyncPlan(plan);
 
-      // 確保現有日曆的權限設置是正確的
-      await updateCalendarAccessSettings(calendar, existingCalendar.id);
+      console.log(formatSyncPlan(plan));
 
-      return existingCalendar.id;
+      // 預覽時只提示,實際套用才會中止
+      const deletionGuard = checkDeletionGuard(plan, Object.keys(calendarState.events).length);
+      if (deletionGuard.blocked && !options.forceDeletes) {
+        console.warn(formatDeletionGuardReport(plan, deletionGuard));
+      }
+
+      console.log(`📝 Wrote sync plan to ${planFile}\n`);
+      calendars[segment.key] = { calendarId, plan, planFile, deletionGuard };
     }
 
-    // 沒有找到現有日曆，創建新的
-    console.log(`Creating new calendar for ${sportId}...`);
-    const newCalendar = await calendar.calendars.insert({
-      requestBody: {
-        summary: calendarName,
-        description: calendarDesc,
-        timeZone: 'UTC'
-      }
-    });
+    return {
+      success: true,
+      dryRun: true,
+      calendars
+    };
+  } catch (error) {
+    console.error(`Error planning sync for ${sportId}:`, error);
+    throw error;
+  }
+}
 
-    const calendarId = newCalendar.data.id;
+/**
+ * 建立事件資料結構
+ * @param {string} sportId - 運動 ID
+ * @param {Object} event - 事件物件
+ * @param {string} hash - 賽事內容 hash
+ * @param {string} renderHash - 事件內容的 hash (calculateRenderHash)
+ * @returns {Object} Google Calendar 事件資料 (extendedProperties 帶有來源識別,見 utils/eventStamp.js)
+ */
+function buildEventData(sportId, event, hash, renderHash) {
+  return {
+    ...renderEvent(event),
+    extendedProperties: buildEventStamp(sportId, event, hash, renderHash)
+  };
+}
 
-    // 儲存日曆 ID
-    await updateCalendarInfo(sportId, calendarId);
+/**
+ * 取得或建立日曆分段的日曆
+ * @param {Object} provider - 日曆 Provider
+ * @param {string} sportId - 運動 ID
+ * @param {Object} segment - 日曆分段 { key, name, description, color }
+ * @returns {Promise<string>} 日曆 ID
+ */
+async function getOrCreateCalendar(provider, sportId, segment) {
+  const label = getSegmentLabel(sportId, segment.key);
 
-    // 設置日曆顏色
-    const colorId = CALENDAR_COLORS[sportId] || CALENDAR_COLORS.default;
-    await calendar.calendarList.update({
-      calendarId: calendarId,
-      requestBody: {
-        colorId
-      }
+  try {
+    const { id: calendarId, created } = await provider.ensureCalendar({
+      summary: segment.name,
+      description: segment.description,
+      timeZone: 'UTC',
+      colorId: CALENDAR_COLORS[sportId] || CALENDAR_COLORS.default
     });
 
-    // 設置日曆為公開可見
-    await updateCalendarAccessSettings(calendar, calendarId);
+    console.log(`${created ? 'Created new' : 'Found existing'} calendar for ${label}: ${calendarId}`);
+
+    // 儲存日曆 ID (新的分段會加入日曆註冊表);只有可公開訂閱的 provider 才寫入
+    if (provider.publishesCalendars) {
+      await updateCalendarInfo(sportId, calendarId, segment);
+    }
+
+    // 確保日曆為公開可見
+    await updateCalendarAccessSettings(provider, calendarId);
 
-    console.log(`Created new calendar for ${sportId}: ${calendarId}`);
     return calendarId;
   } catch (error) {
-    console.error(`Error getting/creating calendar for ${sportId}:`, error);
+    console.error(`Error getting/creating calendar for ${label}:`, error);
     throw error;
   }
 }
 
 /**
  * 更新日曆的訪問權限設置
- * @param {google.calendar} calendar - Google Calendar API 實例
+ * @param {Object} provider - 日曆 Provider
  * @param {string} calendarId - 日曆 ID
  */
-async function updateCalendarAccessSettings(calendar, calendarId) {
+async function updateCalendarAccessSettings(provider, calendarId) {
   try {
     console.log(`Setting public access for calendar ${calendarId}...`);
-
-    await calendar.acl.insert({
-      calendarId: calendarId,
-      requestBody: {
-        role: 'reader',
-        scope: {
-          type: 'default'
-        }
-      }
-    });
-
+    await provider.setPublicAcl(calendarId);
     console.log('Calendar access settings updated successfully.');
   } catch (error) {
-    // ACL 可能已存在,繼續處理
-    if (error.code !== 409) {
-      console.error('Error updating calendar access settings:', error.message);
-    }
+    console.error('Error updating calendar access settings:', error.message);
   }
 }
 
 /**
- * 獲取日曆名稱
- * @param {string} sportId - 運動 ID
- * @returns {string} 日曆名稱
+ * 修復同步狀態 (以日曆上事件的來源識別重建映射,移除已不存在的事件並刪除重複事件)
+ * @param {Object} provider - 日曆 Provider
+ * @param {string} sportId - 運動 ID (可選,預設修復所有有同步狀態分片或已註冊日曆的運動)
+ * @returns {Promise<Object>} 修復結果 (未指定運動時為 { [sportId]: 修復結果 })
  */
-function getCalendarName(sportId) {
-  const names = {
-    'bwf': 'BWF Badminton Tournaments'
-  };
-
-  return names[sportId] || `${sportId.toUpperCase()} Tournaments`;
-}
-
-/**
- * 獲取日曆描述
- * @param {string} sportId - 運動 ID
- * @returns {string} 日曆描述
- */
-function getCalendarDescription(sportId) {
-  const descriptions = {
-    'bwf': 'Badminton World Federation tournament calendar'
-  };
-
-  return descriptions[sportId] || `${sportId.toUpperCase()} tournament calendar`;
-}
+export async function repairSyncState(provider, sportId = null) {
+  if (!sportId) {
+    // 同步狀態分片遺失的運動也從日曆註冊表找到日曆並重建
+    const { calendars } = await loadCalendars();
+    const sportIds = new Set([
+      ...Object.keys(await loadAllSyncStates()),
+      ...Object.values(calendars).map(calendar => calendar.sportId)
+    ]);
+
+    const results = {};
+    for (const repairSportId of sportIds) {
+      results[repairSportId] = await repairSyncState(provider, repairSportId);
+    }
+    return results;
+  }
 
-/**
- * 修復同步狀態 (驗證 sync-state 中的 googleEventId 是否仍存在於日曆)
- * @param {string} sportId - 運動 ID
- * @returns {Promise<Object>} 修復結果
- */
-export async function repairSyncState(sportId) {
   console.log(`\n🔧 Repairing sync state for ${sportId}...`);
 
   try {
-    const auth = await authorize();
-    const calendar = google.calendar({ version: 'v3', auth });
+    const sportState = await loadSyncState(sportId);
+    const segments = await loadCalendarSegments(sportId);
+    const { calendars: registry } = await loadCalendars();
 
-    const syncState = await loadSyncState();
-    const sportState = syncState.sports[sportId];
+    // 修復設定中的日曆與同步狀態中記錄的日曆
+    const segmentKeys = new Set([...segments.map(segment => segment.key), ...Object.keys(sportState.calendars)]);
+    const result = { repaired: 0, total: 0, adopted: 0, relinked: 0, dropped: 0, duplicatesDeleted: 0 };
 
-    if (!sportState) {
-      console.log('No sync state found, nothing to repair.');
-      return { repaired: 0, total: 0 };
-    }
+    for (const segmentKey of segmentKeys) {
+      const label = getSegmentLabel(sportId, segmentKey);
+      const calendarState = sportState.calendars[segmentKey] || { calendarId: null, events: {}, pendingWrites: {} };
 
-    const calendarId = sportState.calendarId;
-    let repairedCount = 0;
-    let totalCount = Object.keys(sportState.events).length;
-
-    // 驗證每個 googleEventId
-    for (const [eventId, syncData] of Object.entries(sportState.events)) {
-      try {
-        // 嘗試取得事件
-        await calendar.events.get({
-          calendarId,
-          eventId: syncData.googleEventId
-        });
-        // 事件存在,OK
-      } catch (error) {
-        if (error.code === 404) {
-          // 事件不存在,從 sync-state 移除
-          console.log(`❌ Event ${eventId} not found in calendar, removing from sync state`);
-          delete sportState.events[eventId];
-          repairedCount++;
-        } else {
-          console.error(`Error checking event ${eventId}:`, error.message);
-        }
+      // 同步狀態遺失時改用日曆註冊表中的日曆 ID,從日曆上的事件重建
+      if (!calendarState.calendarId) {
+        calendarState.calendarId = registry[label]?.id || null;
+      }
+
+      if (!calendarState.calendarId && Object.keys(calendarState.events).length === 0) {
+        console.log(`No sync state or calendar found for ${label}, nothing to repair.`);
+        continue;
       }
+
+      // 沒有本地賽事可對應,只處理帶有來源識別的事件 (手動修復,不受刪除上限限制)
+      const reconcile = await reconcileSyncState(provider, sportId, calendarState);
+      sportState.calendars[segmentKey] = calendarState;
+      const duplicatesDeleted = await deleteRemoteDuplicates(provider, reconcile.duplicates);
+
+      result.adopted += reconcile.adopted;
+      result.relinked += reconcile.relinked;
+      result.dropped += reconcile.dropped;
+      result.duplicatesDeleted += duplicatesDeleted;
+      result.total += Object.keys(calendarState.events).length;
     }
 
-    if (repairedCount > 0) {
-      await saveSyncState(syncState);
-      console.log(`✅ Repaired ${repairedCount} entries in sync state (Total: ${totalCount})`);
+    result.repaired = result.adopted + result.relinked + result.dropped;
+
+    if (result.repaired > 0) {
+      await saveSyncState(sportState);
+      console.log(`✅ Repaired ${result.repaired} entries in sync state (Total: ${result.total})`);
     } else {
       console.log('✅ Sync state is consistent');
     }
 
-    return { repaired: repairedCount, total: totalCount };
+    return result;
   } catch (error) {
     console.error('Error repairing sync state:', error);
     throw error;
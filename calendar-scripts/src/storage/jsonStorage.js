@@ -0,0 +1,192 @@
+/**
+ * JSON Storage - 以 JSON 檔案保存賽事、同步狀態與日曆註冊表 (預設後端)
+ *
+ * 檔案位置:
+ * - {dataDir}/{sport}/{year}.json: 年份檔案 { metadata, mappingConfig, events } (events 為標準化欄位 + rawData)
+ * - {syncStateDir}/{sport}.json: 各運動的同步狀態分片
+ * - {legacySyncStateFile}: 所有運動共用的舊版同步狀態 (拆成分片後改名為 .migrated)
+ * - {calendarsFile}: 日曆註冊表 (前端直接讀取)
+ *
+ * 所有寫入都透過 jsonFile 原子寫入並保留 .bak 備份
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { readJsonFile, writeJsonFile } from '../utils/jsonFile.js';
+
+const YEAR_FILE_PATTERN = /^(\d{4})\.json$/;
+const SHARD_FILE_PATTERN = /^(.+)\.json$/;
+
+/**
+ * 讀取 JSON 檔案 (不存在時為 null)
+ * @param {string} filePath - 檔案路徑
+ * @returns {Promise<*>} 檔案內容
+ */
+async function readOptional(filePath) {
+  try {
+    return await readJsonFile(filePath);
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+export class JsonStorage {
+  /**
+   * @param {Object} options - 設定
+   * @param {string} options.dataDir - 年份檔案根目錄 (public/data)
+   * @param {string} options.syncStateDir - 同步狀態分片目錄
+   * @param {string} options.legacySyncStateFile - 舊版同步狀態檔案路徑
+   * @param {string} options.calendarsFile - 日曆註冊表檔案路徑
+   */
+  constructor(options = {}) {
+    if (!options.dataDir || !options.syncStateDir || !options.calendarsFile) {
+      throw new Error('JsonStorage requires "dataDir", "syncStateDir" and "calendarsFile" options');
+    }
+
+    this.type = 'json';
+    this.dataDir = options.dataDir;
+    this.syncStateDir = options.syncStateDir;
+    this.legacySyncStateFile = options.legacySyncStateFile || null;
+    this.calendarsFile = options.calendarsFile;
+  }
+
+  /**
+   * 取得有年份檔案的運動
+   * @returns {Promise<Array<string>>} 運動 ID 陣列
+   */
+  async listSports() {
+    let entries;
+    try {
+      entries = await fs.readdir(this.dataDir, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const sportIds = [];
+    for (const entry of entries) {
+      if (entry.isDirectory() && (await this.listYears(entry.name)).length > 0) {
+        sportIds.push(entry.name);
+      }
+    }
+
+    return sportIds.sort();
+  }
+
+  /**
+   * 取得運動已儲存的年份
+   * @param {string} sportId - 運動 ID
+   * @returns {Promise<Array<number>>} 年份陣列 (遞增)
+   */
+  async listYears(sportId) {
+    let files;
+    try {
+      files = await fs.readdir(path.join(this.dataDir, sportId));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    return files
+      .map(file => file.match(YEAR_FILE_PATTERN))
+      .filter(Boolean)
+      .map(match => parseInt(match[1]))
+      .sort((a, b) => a - b);
+  }
+
+  /**
+   * 讀取年份資料
+   * @param {string} sportId - 運動 ID
+   * @param {number} year - 年份
+   * @returns {Promise<Object|null>} { metadata, mappingConfig, events },不存在時為 null
+   */
+  async readYear(sportId, year) {
+    return readOptional(path.join(this.dataDir, sportId, `${year}.json`));
+  }
+
+  /**
+   * 寫入年份資料
+   * @param {string} sportId - 運動 ID
+   * @param {number} year - 年份
+   * @param {Object} yearData - { metadata, mappingConfig, events }
+   */
+  async writeYear(sportId, year, yearData) {
+    await writeJsonFile(path.join(this.dataDir, sportId, `${year}.json`), yearData);
+  }
+
+  /**
+   * 取得有同步狀態分片的運動
+   * @returns {Promise<Array<string>>} 運動 ID 陣列
+   */
+  async listSyncStates() {
+    let files;
+    try {
+      files = await fs.readdir(this.syncStateDir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    return files
+      .map(file => file.match(SHARD_FILE_PATTERN))
+      .filter(Boolean)
+      .map(match => match[1])
+      .sort();
+  }
+
+  /**
+   * 讀取單一運動的同步狀態分片
+   * @param {string} sportId - 運動 ID
+   * @returns {Promise<Object|null>} 同步狀態分片,不存在時為 null
+   */
+  async readSyncState(sportId) {
+    return readOptional(path.join(this.syncStateDir, `${sportId}.json`));
+  }
+
+  /**
+   * 寫入單一運動的同步狀態分片
+   * @param {string} sportId - 運動 ID
+   * @param {Object} shard - 同步狀態分片
+   */
+  async writeSyncState(sportId, shard) {
+    await writeJsonFile(path.join(this.syncStateDir, `${sportId}.json`), shard, { backup: true });
+  }
+
+  /**
+   * 讀取所有運動共用的舊版同步狀態 (尚未拆成分片時)
+   * @returns {Promise<Object|null>} 舊版同步狀態,不存在時為 null
+   */
+  async readLegacySyncState() {
+    return this.legacySyncStateFile ? readOptional(this.legacySyncStateFile) : null;
+  }
+
+  /**
+   * 拆成分片後移除舊版同步狀態 (改名為 .migrated 保留原始內容)
+   */
+  async removeLegacySyncState() {
+    if (!this.legacySyncStateFile) return;
+    await fs.rename(this.legacySyncStateFile, `${this.legacySyncStateFile}.migrated`);
+  }
+
+  /**
+   * 讀取日曆註冊表
+   * @returns {Promise<Array|null>} 日曆陣列,不存在時為 null
+   */
+  async readCalendars() {
+    return readOptional(this.calendarsFile);
+  }
+
+  /**
+   * 寫入日曆註冊表
+   * @param {Array} calendars - 日曆陣列
+   */
+  async writeCalendars(calendars) {
+    await writeJsonFile(this.calendarsFile, calendars);
+  }
+
+  /**
+   * 釋放資源 (JSON 後端沒有需要關閉的連線)
+   */
+  async close() {}
+}
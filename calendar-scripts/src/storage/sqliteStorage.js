@@ -0,0 +1,311 @@
+/**
+ * SQLite Storage - 以單一 SQLite 資料庫保存賽事、同步狀態與日曆註冊表
+ * 適合保留多年歷史資料的自架環境 (需要 Node.js 22.5+ 內建的 node:sqlite)
+ *
+ * 資料表:
+ * - year_files: 年份檔案的 metadata 與 mappingConfig
+ * - events: 賽事 (標準化欄位與 rawData 分欄保存,position 保留原本順序)
+ * - sync_state_shards: 各運動的同步狀態分片
+ * - documents: 日曆註冊表 ('calendars')
+ *
+ * 舊版 (拆成分片前) 的同步狀態保存在 documents 的 'sync-state' 與 sync_sports 表,拆分後移除
+ *
+ * 前端直接讀取 calendars.json,因此寫入日曆註冊表時也會同步輸出 publicCalendarsFile
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { writeJsonFile } from '../utils/jsonFile.js';
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS year_files (
+    sport_id TEXT NOT NULL,
+    year INTEGER NOT NULL,
+    metadata TEXT NOT NULL,
+    mapping_config TEXT,
+    PRIMARY KEY (sport_id, year)
+  );
+  CREATE TABLE IF NOT EXISTS events (
+    sport_id TEXT NOT NULL,
+    year INTEGER NOT NULL,
+    position INTEGER NOT NULL,
+    event_id TEXT NOT NULL,
+    standardized TEXT NOT NULL,
+    raw_data TEXT,
+    PRIMARY KEY (sport_id, year, position)
+  );
+  CREATE INDEX IF NOT EXISTS events_by_id ON events (sport_id, event_id);
+  CREATE TABLE IF NOT EXISTS sync_state_shards (
+    sport_id TEXT PRIMARY KEY,
+    data TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS documents (
+    name TEXT PRIMARY KEY,
+    data TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+`;
+
+/**
+ * 載入 node:sqlite (舊版 Node.js 沒有此模組)
+ * @returns {Promise<Function>} DatabaseSync 類
+ */
+async function loadDatabaseSync() {
+  try {
+    const { DatabaseSync } = await import('node:sqlite');
+    return DatabaseSync;
+  } catch (error) {
+    throw new Error(
+      `SQLite storage requires Node.js 22.5+ with node:sqlite (Node.js 22.5-22.12 also need --experimental-sqlite): ${error.message}`
+    );
+  }
+}
+
+export class SqliteStorage {
+  /**
+   * @param {Object} options - 設定
+   * @param {string} options.databaseFile - SQLite 資料庫檔案路徑
+   * @param {string} options.publicCalendarsFile - 輸出給前端的 calendars.json 路徑 (可選)
+   */
+  constructor(options = {}) {
+    if (!options.databaseFile) {
+      throw new Error('SqliteStorage requires a "databaseFile" option');
+    }
+
+    this.type = 'sqlite';
+    this.databaseFile = options.databaseFile;
+    this.publicCalendarsFile = options.publicCalendarsFile || null;
+    this.db = null;
+  }
+
+  /**
+   * 開啟資料庫並建立資料表 (第一次使用時)
+   * @returns {Promise<Object>} DatabaseSync 實例
+   */
+  async _open() {
+    if (this.db) return this.db;
+
+    const DatabaseSync = await loadDatabaseSync();
+    await fs.mkdir(path.dirname(this.databaseFile), { recursive: true });
+
+    this.db = new DatabaseSync(this.databaseFile);
+    this.db.exec('PRAGMA journal_mode = WAL;');
+    this.db.exec(SCHEMA);
+    return this.db;
+  }
+
+  /**
+   * 在交易中執行寫入 (失敗時整筆回滾)
+   * @param {Function} write - 寫入函式 (接收 db)
+   */
+  async _transaction(write) {
+    const db = await this._open();
+
+    db.exec('BEGIN');
+    try {
+      write(db);
+      db.exec('COMMIT');
+    } catch (error) {
+      db.exec('ROLLBACK');
+      throw error;
+    }
+  }
+
+  /**
+   * 讀取 documents 表中的資料
+   * @param {string} name - 文件名稱
+   * @returns {Promise<*>} 文件內容,不存在時為 null
+   */
+  async _readDocument(name) {
+    const db = await this._open();
+    const row = db.prepare('SELECT data FROM documents WHERE name = ?').get(name);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  /**
+   * 取得有年份資料的運動
+   * @returns {Promise<Array<string>>} 運動 ID 陣列
+   */
+  async listSports() {
+    const db = await this._open();
+    return db.prepare('SELECT DISTINCT sport_id FROM year_files ORDER BY sport_id').all().map(row => row.sport_id);
+  }
+
+  /**
+   * 取得運動已儲存的年份
+   * @param {string} sportId - 運動 ID
+   * @returns {Promise<Array<number>>} 年份陣列 (遞增)
+   */
+  async listYears(sportId) {
+    const db = await this._open();
+    return db.prepare('SELECT year FROM year_files WHERE sport_id = ? ORDER BY year').all(sportId).map(row => Number(row.year));
+  }
+
+  /**
+   * 讀取年份資料
+   * @param {string} sportId - 運動 ID
+   * @param {number} year - 年份
+   * @returns {Promise<Object|null>} { metadata, mappingConfig, events },不存在時為 null
+   */
+  async readYear(sportId, year) {
+    const db = await this._open();
+    const yearRow = db.prepare('SELECT metadata, mapping_config FROM year_files WHERE sport_id = ? AND year = ?').get(sportId, year);
+    if (!yearRow) return null;
+
+    const events = db
+      .prepare('SELECT standardized, raw_data FROM events WHERE sport_id = ? AND year = ? ORDER BY position')
+      .all(sportId, year)
+      .map(row => {
+        const event = JSON.parse(row.standardized);
+        return row.raw_data === null ? event : { ...event, rawData: JSON.parse(row.raw_data) };
+      });
+
+    return {
+      metadata: JSON.parse(yearRow.metadata),
+      mappingConfig: yearRow.mapping_config === null ? undefined : JSON.parse(yearRow.mapping_config),
+      events
+    };
+  }
+
+  /**
+   * 寫入年份資料 (取代該年份的所有賽事)
+   * @param {string} sportId - 運動 ID
+   * @param {number} year - 年份
+   * @param {Object} yearData - { metadata, mappingConfig, events }
+   */
+  async writeYear(sportId, year, yearData) {
+    await this._transaction(db => {
+      db.prepare(`
+        INSERT INTO year_files (sport_id, year, metadata, mapping_config) VALUES (?, ?, ?, ?)
+        ON CONFLICT (sport_id, year) DO UPDATE SET metadata = excluded.metadata, mapping_config = excluded.mapping_config
+      `).run(
+        sportId,
+        year,
+        JSON.stringify(yearData.metadata || {}),
+        yearData.mappingConfig === undefined ? null : JSON.stringify(yearData.mappingConfig)
+      );
+
+      db.prepare('DELETE FROM events WHERE sport_id = ? AND year = ?').run(sportId, year);
+
+      const insertEvent = db.prepare(
+        'INSERT INTO events (sport_id, year, position, event_id, standardized, raw_data) VALUES (?, ?, ?, ?, ?, ?)'
+      );
+      (yearData.events || []).forEach((event, position) => {
+        const { rawData, ...standardized } = event;
+        insertEvent.run(
+          sportId,
+          year,
+          position,
+          String(event.id),
+          JSON.stringify(standardized),
+          rawData === undefined ? null : JSON.stringify(rawData)
+        );
+      });
+    });
+  }
+
+  /**
+   * 取得有同步狀態分片的運動
+   * @returns {Promise<Array<string>>} 運動 ID 陣列
+   */
+  async listSyncStates() {
+    const db = await this._open();
+    return db.prepare('SELECT sport_id FROM sync_state_shards ORDER BY sport_id').all().map(row => row.sport_id);
+  }
+
+  /**
+   * 讀取單一運動的同步狀態分片
+   * @param {string} sportId - 運動 ID
+   * @returns {Promise<Object|null>} 同步狀態分片,不存在時為 null
+   */
+  async readSyncState(sportId) {
+    const db = await this._open();
+    const row = db.prepare('SELECT data FROM sync_state_shards WHERE sport_id = ?').get(sportId);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  /**
+   * 寫入單一運動的同步狀態分片
+   * @param {string} sportId - 運動 ID
+   * @param {Object} shard - 同步狀態分片
+   */
+  async writeSyncState(sportId, shard) {
+    await this._transaction(db => {
+      db.prepare(`
+        INSERT INTO sync_state_shards (sport_id, data, updated_at) VALUES (?, ?, ?)
+        ON CONFLICT (sport_id) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at
+      `).run(sportId, JSON.stringify(shard), new Date().toISOString());
+    });
+  }
+
+  /**
+   * 讀取所有運動共用的舊版同步狀態 (尚未拆成分片時)
+   * @returns {Promise<Object|null>} 舊版同步狀態,不存在時為 null
+   */
+  async readLegacySyncState() {
+    const db = await this._open();
+    const state = await this._readDocument('sync-state');
+    if (!state) return null;
+
+    const sports = {};
+    for (const row of db.prepare('SELECT sport_id, data FROM sync_sports ORDER BY sport_id').all()) {
+      sports[row.sport_id] = JSON.parse(row.data);
+    }
+
+    return { ...state, sports };
+  }
+
+  /**
+   * 拆成分片後移除舊版同步狀態
+   */
+  async removeLegacySyncState() {
+    await this._transaction(db => {
+      db.prepare('DELETE FROM documents WHERE name = ?').run('sync-state');
+      db.exec('DROP TABLE IF EXISTS sync_sports');
+    });
+  }
+
+  /**
+   * 讀取日曆註冊表
+   * @returns {Promise<Array|null>} 日曆陣列,不存在時為 null
+   */
+  async readCalendars() {
+    return this._readDocument('calendars');
+  }
+
+  /**
+   * 寫入日曆註冊表,並輸出前端使用的 calendars.json
+   * @param {Array} calendars - 日曆陣列
+   */
+  async writeCalendars(calendars) {
+    await this._transaction(db => putDocument(db, 'calendars', calendars));
+
+    if (this.publicCalendarsFile) {
+      await writeJsonFile(this.publicCalendarsFile, calendars);
+    }
+  }
+
+  /**
+   * 關閉資料庫連線
+   */
+  async close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+}
+
+/**
+ * 寫入 documents 表
+ * @param {Object} db - DatabaseSync 實例
+ * @param {string} name - 文件名稱
+ * @param {*} data - 文件內容
+ */
+function putDocument(db, name, data) {
+  db.prepare(`
+    INSERT INTO documents (name, data, updated_at) VALUES (?, ?, ?)
+    ON CONFLICT (name) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at
+  `).run(name, JSON.stringify(data), new Date().toISOString());
+}
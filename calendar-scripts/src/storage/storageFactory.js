@@ -0,0 +1,81 @@
+import path from 'path';
+import { JsonStorage } from './jsonStorage.js';
+import { SqliteStorage } from './sqliteStorage.js';
+import { getStateDir, getPublicDataDir } from '../utils/dataPaths.js';
+
+// 未設定 STORAGE_BACKEND 時使用 JSON 檔案
+const DEFAULT_BACKEND = 'json';
+
+// 儲存後端註冊表 (依 STORAGE_BACKEND 的值)
+const backends = {
+  'json': JsonStorage,
+  'sqlite': SqliteStorage
+};
+
+// 目前執行使用的儲存後端 (第一次呼叫 getStorage 時建立)
+let currentStorage = null;
+
+/**
+ * 取得儲存後端的預設設定 (所有後端共用,各後端只讀取需要的欄位)
+ * @returns {Object} 設定
+ */
+function getDefaultOptions() {
+  return {
+    dataDir: getPublicDataDir(),
+    syncStateDir: getStateDir('sync-state'),
+    legacySyncStateFile: getStateDir('sync-state.json'),
+    calendarsFile: getPublicDataDir('calendars.json'),
+    databaseFile: process.env.STORAGE_SQLITE_PATH
+      ? path.resolve(process.cwd(), process.env.STORAGE_SQLITE_PATH)
+      : getStateDir('storage.sqlite'),
+    publicCalendarsFile: getPublicDataDir('calendars.json')
+  };
+}
+
+/**
+ * 建立指定類型的儲存後端
+ * @param {string} type - 後端類型 (例如: 'json', 'sqlite')
+ * @param {Object} options - 覆寫預設設定 (可選)
+ * @returns {Object} 儲存後端實例
+ */
+export function createStorage(type, options = {}) {
+  const StorageClass = backends[type];
+
+  if (!StorageClass) {
+    throw new Error(`No storage backend registered for type "${type}" (available: ${Object.keys(backends).join(', ')})`);
+  }
+
+  return new StorageClass({ ...getDefaultOptions(), ...options });
+}
+
+/**
+ * 取得目前執行使用的儲存後端 (由環境變數 STORAGE_BACKEND 決定,預設 json)
+ * @returns {Object} 儲存後端實例
+ */
+export function getStorage() {
+  if (!currentStorage) {
+    currentStorage = createStorage(process.env.STORAGE_BACKEND || DEFAULT_BACKEND);
+  }
+
+  return currentStorage;
+}
+
+/**
+ * 關閉目前的儲存後端 (下次呼叫 getStorage 時重新建立)
+ */
+export async function closeStorage() {
+  if (currentStorage) {
+    await currentStorage.close();
+    currentStorage = null;
+  }
+}
+
+/**
+ * 註冊一個新的儲存後端
+ * @param {string} type - 後端類型 (對應 STORAGE_BACKEND 的值)
+ * @param {Class} StorageClass - 後端類 (需提供與 JsonStorage 相同的方法)
+ */
+export function registerStorage(type, StorageClass) {
+  backends[type] = StorageClass;
+  console.log(`Registered storage backend ${type}`);
+}
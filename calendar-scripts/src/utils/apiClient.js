@@ -1,8 +1,7 @@
-import fetch from 'node-fetch';
-import { BwfApiClient } from '../clients/bwfApiClient.js';
-
-const API_BASE_URL = process.env.API_BASE_URL || 'https://the-static-api.vercel.app';
-const API_INDEX_PATH = '/api/index.json';
+import { getClient, loadSourceConfig } from '../clients/clientFactory.js';
+import { StaticIndexClient } from '../clients/staticIndexClient.js';
+import { getFixtureMode } from './fixtureStore.js';
+import { withCircuitBreaker } from './resilience.js';
 
 /**
  * 獲取API索引，包含所有可用的體育賽事API
@@ -10,13 +9,7 @@ const API_INDEX_PATH = '/api/index.json';
  */
 export async function fetchApiIndex() {
   try {
-    const response = await fetch(`${API_BASE_URL}${API_INDEX_PATH}`);
-
-    if (!response.ok) {
-      throw new Error(`API request failed with status ${response.status}`);
-    }
-
-    return await response.json();
+    return await new StaticIndexClient().fetchIndex();
   } catch (error) {
     console.error('Error fetching API index:', error);
     throw error;
@@ -25,47 +18,30 @@ export async function fetchApiIndex() {
 
 /**
  * 根據體育ID獲取比賽數據
- * BWF 使用官方 API (需要 Puppeteer)，其他運動使用靜態 API
+ * 使用的資料來源 Client 由 data/source-configs/{sportId}.json 決定 (預設為靜態 API 索引)
+ * 支援多賽季的來源會回傳 { seasons: [{ year, data }] }
+ *
+ * 來源以斷路器保護 (設定見來源設定的 circuitBreaker 區塊)；
+ * 重試用盡或斷路器開啟時拋出的錯誤帶有 sourceUnavailable = true
  * @param {string} sportId - 體育ID (例如: 'bwf')
  * @returns {Promise<Object>} 比賽數據
  */
 export async function fetchTournamentData(sportId) {
   try {
-    // BWF 特殊處理：使用官方 API
-    if (sportId === 'bwf') {
-      console.log('Using BWF Official API (Puppeteer-based)');
-      const bwfClient = new BwfApiClient();
-      return await bwfClient.fetchTournaments();
-    }
-
-    // 其他運動：使用靜態 API 索引
-    // 先獲取API索引以找到正確的端點
-    const apiIndex = await fetchApiIndex();
+    const sourceConfig = await loadSourceConfig(sportId);
+    const client = await getClient(sportId);
+    console.log(`Using ${client.constructor.name} for ${sportId}`);
 
-    // 尋找對應的API
-    const api = apiIndex.apis.find(api => api.id === sportId);
-    if (!api) {
-      throw new Error(`API for sport ${sportId} not found in the API index`);
+    // 重播 fixture 時不連線，不需要斷路器
+    if (getFixtureMode() === 'replay') {
+      return await client.fetch(sportId);
     }
 
-    // 尋找賽事數據端點
-    const tournamentEndpoint = api.endpoints.find(
-      endpoint => endpoint.name.toLowerCase().includes('tournament') ||
-                  endpoint.description.toLowerCase().includes('tournament')
+    return await withCircuitBreaker(
+      `source:${sportId}`,
+      () => client.fetch(sportId),
+      sourceConfig.circuitBreaker || {}
     );
-
-    if (!tournamentEndpoint) {
-      throw new Error(`Tournament endpoint for ${sportId} not found`);
-    }
-
-    // 獲取比賽數據
-    const response = await fetch(`${API_BASE_URL}${tournamentEndpoint.url}`);
-
-    if (!response.ok) {
-      throw new Error(`Tournament data request failed with status ${response.status}`);
-    }
-
-    return await response.json();
   } catch (error) {
     console.error(`Error fetching ${sportId} tournament data:`, error);
     throw error;
@@ -3,13 +3,11 @@ import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import dotenv from 'dotenv';
+import { writeJsonFile } from './jsonFile.js';
 
 // 載入環境變數
 dotenv.config();
 
-// 獲取當前目錄
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
-
 // Google Calendar API 範圍
 const SCOPES = ['https://www.googleapis.com/auth/calendar'];
 
@@ -48,13 +46,13 @@ export async function authorize() {
     console.log('服務帳戶認證成功!');
     
     // 將認證信息保存到 token.json (非必要，但保持一致性)
-    await fs.writeFile(TOKEN_PATH, JSON.stringify({
+    await writeJsonFile(TOKEN_PATH, {
       type: 'service_account',
       project_id: credentials.project_id,
       private_key_id: credentials.private_key_id,
       client_email: credentials.client_email,
       token_uri: credentials.token_uri
-    }));
+    }, { space: null, backup: false });
     
     return client;
   } catch (error) {
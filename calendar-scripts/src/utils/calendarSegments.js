@@ -0,0 +1,217 @@
+/**
+ * Calendar Segments - 將一個運動的賽事分到多個日曆 (例如只包含高等級賽事的日曆)
+ *
+ * 設定於 mapping config 的 calendars 區塊 (calendar-scripts/data/mapping-configs/{sportId}.json):
+ * "calendars": [
+ *   { "key": "all", "name": "BWF Badminton Tournaments", "description": "..." },
+ *   {
+ *     "key": "majors",
+ *     "name": "BWF Major Tournaments",
+ *     "description": "...",
+ *     "color": "#db4437",
+ *     "rules": [
+ *       { "level": ["Super 750", "Super 1000"] },
+ *       { "category": { "pattern": "World Tour Finals", "flags": "i" } }
+ *     ]
+ *   }
+ * ]
+ *
+ * - key: 日曆的識別 (同步狀態與日曆註冊表使用,建立後不要修改)
+ * - name / description: Google Calendar 的日曆名稱與描述 (以名稱尋找既有的日曆)
+ * - color: 日曆註冊表中顯示的顏色 (可選)
+ * - rules: 符合任一規則的賽事屬於此日曆,沒有 rules 時包含所有賽事
+ *   每條規則的所有欄位都必須符合;欄位值為陣列時比對其中任一值 (不分大小寫),
+ *   或以 { pattern, flags } 比對正規表示式。可用欄位見 SEGMENT_FIELDS
+ *
+ * 沒有 calendars 區塊的運動只有一個包含所有賽事的日曆 (key 為 DEFAULT_SEGMENT_KEY)
+ */
+
+import { loadMappingConfig } from './mappingEngine.js';
+
+// 沒有設定分段時唯一日曆的 key (舊版同步狀態也遷移到這個 key)
+export const DEFAULT_SEGMENT_KEY = 'all';
+
+// 規則可用的欄位
+const SEGMENT_FIELDS = {
+  level: event => event.level,
+  category: event => event.category,
+  country: event => event.location?.country
+};
+
+const SEGMENT_KEY_PATTERN = /^[a-z0-9-]+$/;
+
+/**
+ * 建立分段設定錯誤
+ * @param {string} sportId - 運動 ID
+ * @param {string} message - 錯誤訊息
+ * @returns {Error} 錯誤 (code 為 'CALENDAR_SEGMENTS_INVALID')
+ */
+function createSegmentError(sportId, message) {
+  const error = new Error(`Invalid calendars config for ${sportId}: ${message}`);
+  error.code = 'CALENDAR_SEGMENTS_INVALID';
+  return error;
+}
+
+/**
+ * 取得運動的日曆分段 (驗證設定)
+ * @param {string} sportId - 運動 ID
+ * @param {Object} mappingConfig - 映射配置
+ * @returns {Array<Object>} [{ key, name, description, color, rules }]
+ */
+export function getCalendarSegments(sportId, mappingConfig) {
+  const configured = mappingConfig?.calendars;
+  if (!configured) {
+    return [{
+      key: DEFAULT_SEGMENT_KEY,
+      name: getCalendarName(sportId),
+      description: getCalendarDescription(sportId),
+      color: null,
+      rules: null
+    }];
+  }
+
+  if (!Array.isArray(configured) || configured.length === 0) {
+    throw createSegmentError(sportId, 'calendars must be a non-empty array');
+  }
+
+  const keys = new Set();
+  const names = new Set();
+
+  return configured.map((segment, index) => {
+    if (typeof segment?.key !== 'string' || !SEGMENT_KEY_PATTERN.test(segment.key)) {
+      throw createSegmentError(sportId, `calendars[${index}].key must match ${SEGMENT_KEY_PATTERN}`);
+    }
+    if (typeof segment.name !== 'string' || !segment.name) {
+      throw createSegmentError(sportId, `calendars[${index}].name must be a non-empty string`);
+    }
+    // 以名稱尋找既有的日曆,名稱重複會讓兩個分段寫入同一個日曆
+    if (keys.has(segment.key) || names.has(segment.name)) {
+      throw createSegmentError(sportId, `duplicate calendar key or name "${segment.key}" / "${segment.name}"`);
+    }
+    keys.add(segment.key);
+    names.add(segment.name);
+
+    if (segment.rules !== undefined) {
+      validateRules(sportId, segment.key, segment.rules);
+    }
+
+    return {
+      key: segment.key,
+      name: segment.name,
+      description: segment.description || '',
+      color: segment.color || null,
+      rules: segment.rules || null
+    };
+  });
+}
+
+/**
+ * 載入運動的日曆分段 (由映射配置讀取)
+ * @param {string} sportId - 運動 ID
+ * @returns {Promise<Array<Object>>} 日曆分段
+ */
+export async function loadCalendarSegments(sportId) {
+  return getCalendarSegments(sportId, await loadMappingConfig(sportId));
+}
+
+/**
+ * 驗證分段規則
+ * @param {string} sportId - 運動 ID
+ * @param {string} key - 分段 key
+ * @param {*} rules - 規則
+ */
+function validateRules(sportId, key, rules) {
+  if (!Array.isArray(rules) || rules.length === 0) {
+    throw createSegmentError(sportId, `calendar "${key}" rules must be a non-empty array`);
+  }
+
+  for (const rule of rules) {
+    if (!rule || typeof rule !== 'object' || Object.keys(rule).length === 0) {
+      throw createSegmentError(sportId, `calendar "${key}" has an empty rule`);
+    }
+
+    for (const [field, condition] of Object.entries(rule)) {
+      if (!SEGMENT_FIELDS[field]) {
+        throw createSegmentError(sportId, `calendar "${key}" uses unknown field "${field}" (supported: ${Object.keys(SEGMENT_FIELDS).join(', ')})`);
+      }
+      if (Array.isArray(condition)) continue;
+
+      if (typeof condition?.pattern !== 'string') {
+        throw createSegmentError(sportId, `calendar "${key}" field "${field}" must be an array of values or { pattern, flags }`);
+      }
+      try {
+        new RegExp(condition.pattern, condition.flags || '');
+      } catch (error) {
+        throw createSegmentError(sportId, `calendar "${key}" field "${field}" has an invalid pattern: ${error.message}`);
+      }
+    }
+  }
+}
+
+/**
+ * 檢查賽事是否屬於日曆分段
+ * @param {Object} event - 標準化的賽事
+ * @param {Object} segment - 日曆分段
+ * @returns {boolean} 是否屬於
+ */
+export function matchesSegment(event, segment) {
+  if (!segment.rules) return true;
+
+  return segment.rules.some(rule =>
+    Object.entries(rule).every(([field, condition]) => {
+      const value = SEGMENT_FIELDS[field](event);
+      if (value === null || value === undefined || value === '') return false;
+
+      if (Array.isArray(condition)) {
+        return condition.some(expected => String(expected).toLowerCase() === String(value).toLowerCase());
+      }
+      return new RegExp(condition.pattern, condition.flags || '').test(String(value));
+    })
+  );
+}
+
+/**
+ * 取得屬於日曆分段的賽事
+ * @param {Array} events - 標準化的賽事
+ * @param {Object} segment - 日曆分段
+ * @returns {Array} 屬於此日曆的賽事
+ */
+export function filterSegmentEvents(events, segment) {
+  return events.filter(event => matchesSegment(event, segment));
+}
+
+/**
+ * 取得日曆分段的顯示名稱 (預設分段只顯示運動 ID)
+ * @param {string} sportId - 運動 ID
+ * @param {string} segmentKey - 分段 key
+ * @returns {string} 例如 'bwf' 或 'bwf/majors'
+ */
+export function getSegmentLabel(sportId, segmentKey) {
+  return segmentKey === DEFAULT_SEGMENT_KEY ? sportId : `${sportId}/${segmentKey}`;
+}
+
+/**
+ * 獲取日曆名稱 (沒有設定分段時使用)
+ * @param {string} sportId - 運動 ID
+ * @returns {string} 日曆名稱
+ */
+function getCalendarName(sportId) {
+  const names = {
+    'bwf': 'BWF Badminton Tournaments'
+  };
+
+  return names[sportId] || `${sportId.toUpperCase()} Tournaments`;
+}
+
+/**
+ * 獲取日曆描述 (沒有設定分段時使用)
+ * @param {string} sportId - 運動 ID
+ * @returns {string} 日曆描述
+ */
+function getCalendarDescription(sportId) {
+  const descriptions = {
+    'bwf': 'Badminton World Federation tournament calendar'
+  };
+
+  return descriptions[sportId] || `${sportId.toUpperCase()} tournament calendar`;
+}
@@ -1,19 +1,14 @@
-import fs from 'fs/promises';
-import path from 'path';
-import { fileURLToPath } from 'url';
-
-// 獲取當前目錄
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const DATA_FILE = path.join(__dirname, '../../../public/data/calendars.json');
+import { getStorage } from '../storage/storageFactory.js';
+import { DEFAULT_SEGMENT_KEY, getSegmentLabel } from './calendarSegments.js';
 
 /**
- * 讀取日曆數據
+ * 讀取日曆數據 (由目前的儲存後端讀取)
+ * calendars 以 getSegmentLabel 為 key ('bwf'、'bwf/majors'),沒有 segment 欄位的項目屬於預設分段
  * @returns {Promise<Object>} 日曆數據
  */
 export async function loadCalendars() {
   try {
-    const data = await fs.readFile(DATA_FILE, 'utf-8');
-    const calendars = JSON.parse(data);
+    const calendars = await getStorage().readCalendars() || [];
     
     // 將陣列轉換為物件格式
     const calendarObj = {
@@ -21,7 +16,7 @@ export async function loadCalendars() {
     };
     
     calendars.forEach(calendar => {
-      calendarObj.calendars[calendar.sportId] = calendar;
+      calendarObj.calendars[getSegmentLabel(calendar.sportId, calendar.segment || DEFAULT_SEGMENT_KEY)] = calendar;
     });
 
     return calendarObj;
@@ -40,26 +35,58 @@ export async function saveCalendars(data) {
   try {
     // 將物件格式轉換為陣列
     const calendars = Object.values(data.calendars);
-    const dataStr = JSON.stringify(calendars, null, 2);
-    await fs.writeFile(DATA_FILE, dataStr, 'utf-8');
+    await getStorage().writeCalendars(calendars);
   } catch (error) {
     console.error('Error saving calendar data:', error);
     throw error;
   }
 }
 
+/**
+ * 取得日曆的訂閱連結
+ * @param {string} calendarId - 日曆 ID
+ * @returns {Object} { publicUrl, icalUrl } (沒有日曆 ID 時為空字串)
+ */
+function getCalendarUrls(calendarId) {
+  return {
+    publicUrl: calendarId ? `https://calendar.google.com/calendar/embed?src=${encodeURIComponent(calendarId)}` : '',
+    icalUrl: calendarId ? `https://calendar.google.com/calendar/ical/${encodeURIComponent(calendarId)}/public/basic.ics` : ''
+  };
+}
+
 /**
  * 更新日曆信息
+ * 已註冊的日曆只更新 ID 與訂閱連結 (保留手動修改的名稱與顏色);
+ * 未註冊且提供日曆分段時新增項目
  * @param {string} sportId - 體育 ID
  * @param {string} calendarId - 日曆 ID
+ * @param {Object} segment - 日曆分段 { key, name, description, color } (可選,見 calendarSegments.js)
  * @returns {Promise<void>}
  */
-export async function updateCalendarInfo(sportId, calendarId) {
+export async function updateCalendarInfo(sportId, calendarId, segment = null) {
   const data = await loadCalendars();
-  if (data.calendars[sportId]) {
-    data.calendars[sportId].id = calendarId;
-    await saveCalendars(data);
+  const segmentKey = segment?.key || DEFAULT_SEGMENT_KEY;
+  const key = getSegmentLabel(sportId, segmentKey);
+  const calendar = data.calendars[key];
+
+  if (calendar) {
+    if (calendar.id === calendarId) return;
+    Object.assign(calendar, { id: calendarId, ...getCalendarUrls(calendarId) });
+  } else if (segment) {
+    data.calendars[key] = {
+      id: calendarId,
+      name: segment.name,
+      description: segment.description,
+      color: segment.color || '#4285f4',
+      sportId,
+      ...(segmentKey !== DEFAULT_SEGMENT_KEY ? { segment: segmentKey } : {}),
+      ...getCalendarUrls(calendarId)
+    };
+  } else {
+    return;
   }
+
+  await saveCalendars(data);
 }
 
 /**
@@ -70,7 +97,6 @@ export async function getAllCalendars() {
   const data = await loadCalendars();
   return Object.values(data.calendars).map(calendar => ({
     ...calendar,
-    publicUrl: calendar.id ? `https://calendar.google.com/calendar/embed?src=${encodeURIComponent(calendar.id)}` : '',
-    icalUrl: calendar.id ? `https://calendar.google.com/calendar/ical/${encodeURIComponent(calendar.id)}/public/basic.ics` : ''
+    ...getCalendarUrls(calendar.id)
   }));
 }
@@ -0,0 +1,124 @@
+/**
+ * Calendar Writes - 以 batch 與有上限的並行數送出日曆寫入,速率限制時退避後重試
+ *
+ * 寫入依 CALENDAR_BATCH_SIZE 分批,同時最多 CALENDAR_WRITE_CONCURRENCY 個 batch 進行中;
+ * 速率限制 (429 / rateLimitExceeded) 與暫時性錯誤的寫入在下一輪重試 (指數退避),
+ * 超過重試次數或不可重試的錯誤回傳給呼叫端 (syncService 記錄到同步狀態的 pendingWrites)
+ */
+
+import { isRateLimitError, isRetryableError, getBackoffDelay, sleep } from './resilience.js';
+
+const DEFAULT_WRITE_OPTIONS = {
+  batchSize: 50,
+  concurrency: 2,
+  retries: 5,
+  baseDelay: 1000,
+  maxDelay: 60000,
+  factor: 2
+};
+
+/**
+ * 取得寫入設定 (環境變數可覆寫 batch 大小與並行數)
+ * @param {Object} options - 覆寫設定
+ * @returns {Object} 寫入設定
+ */
+function getWriteOptions(options) {
+  const fromEnv = {};
+  const batchSize = parseInt(process.env.CALENDAR_BATCH_SIZE);
+  const concurrency = parseInt(process.env.CALENDAR_WRITE_CONCURRENCY);
+
+  if (batchSize > 0) fromEnv.batchSize = batchSize;
+  if (concurrency > 0) fromEnv.concurrency = concurrency;
+
+  return { ...DEFAULT_WRITE_OPTIONS, ...fromEnv, ...options };
+}
+
+/**
+ * 以有上限的並行數處理項目
+ * @param {Array} items - 項目
+ * @param {number} concurrency - 同時處理的上限
+ * @param {Function} worker - 非同步處理函數
+ */
+async function runPool(items, concurrency, worker) {
+  let next = 0;
+  const runners = Array.from({ length: Math.min(concurrency, items.length) }, async () => {
+    while (next < items.length) {
+      await worker(items[next++]);
+    }
+  });
+
+  await Promise.all(runners);
+}
+
+/**
+ * 將陣列切成固定大小的區塊
+ * @param {Array} items - 項目
+ * @param {number} size - 區塊大小
+ * @returns {Array<Array>} 區塊
+ */
+function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+}
+
+/**
+ * 送出日曆寫入
+ * @param {Object} provider - 日曆 Provider (需提供 batchWrite)
+ * @param {Array} operations - [{ type: 'create' | 'update' | 'delete', calendarId, eventId, eventData }]
+ * @param {Object} options - 設定 { batchSize, concurrency, retries, baseDelay, maxDelay, factor } (可選)
+ * @returns {Promise<Array>} 依序對應的結果 [{ ok: true, id, attempts }] 或 [{ ok: false, error, attempts }]
+ */
+export async function executeCalendarWrites(provider, operations, options = {}) {
+  const writeOptions = getWriteOptions(options);
+  const results = new Array(operations.length);
+  let queue = operations.map((operation, index) => ({ operation, index, attempts: 0 }));
+
+  for (let round = 1; queue.length > 0; round++) {
+    const retryQueue = [];
+    let rateLimited = 0;
+
+    await runPool(chunk(queue, writeOptions.batchSize), writeOptions.concurrency, async (batch) => {
+      let batchResults;
+      try {
+        batchResults = await provider.batchWrite(batch.map(item => item.operation));
+      } catch (error) {
+        // 整個 batch 請求失敗時,其中每筆寫入都視為失敗
+        batchResults = batch.map(() => ({ error }));
+      }
+
+      batch.forEach((item, i) => {
+        const { id, error } = batchResults[i];
+        item.attempts++;
+
+        if (!error) {
+          results[item.index] = { ok: true, id, attempts: item.attempts };
+          return;
+        }
+
+        const rateLimit = isRateLimitError(error);
+        if (rateLimit) rateLimited++;
+
+        if ((rateLimit || isRetryableError(error)) && item.attempts <= writeOptions.retries) {
+          retryQueue.push(item);
+        } else {
+          results[item.index] = { ok: false, error, attempts: item.attempts };
+        }
+      });
+    });
+
+    if (retryQueue.length > 0) {
+      const delay = getBackoffDelay(round, writeOptions);
+      const reason = rateLimited > 0 ? `${rateLimited} rate limited` : 'transient errors';
+      console.warn(`⚠️  ${retryQueue.length} calendar writes failed (${reason}), retrying in ${delay}ms (round ${round + 1}/${writeOptions.retries + 1})...`);
+      await sleep(delay);
+    }
+
+    // 維持原本的寫入順序
+    queue = retryQueue.sort((a, b) => a.index - b.index);
+  }
+
+  return results;
+}
@@ -0,0 +1,162 @@
+/**
+ * Changelog - 比對每次執行前後的標準化賽事，記錄新增、移除與欄位變更
+ *
+ * 檔案位置: public/data/{sport}/changelog.json
+ * {
+ *   sportId: 'bwf',
+ *   lastUpdated: '2025-01-20T00:00:00.000Z',
+ *   entries: [
+ *     { timestamp, type: 'changed', id, name, year, changes: [{ field: 'dateStart', from, to }] },
+ *     { timestamp, type: 'added', id, name, year },
+ *     { timestamp, type: 'missing', id, name, year, missingSince },
+ *     { timestamp, type: 'restored', id, name, year },
+ *     { timestamp, type: 'removed', id, name, year }
+ *   ]
+ * }
+ *
+ * missing: 賽事從來源消失但仍在保留期間 (見 storageManager 的 missingSince)
+ * restored: 保留期間的賽事重新出現在來源
+ * removed: 賽事從年份檔案移除
+ *
+ * entries 依時間順序附加，只保留最近 MAX_CHANGELOG_ENTRIES 筆
+ */
+
+import path from 'path';
+import { readJsonFile, writeJsonFile } from './jsonFile.js';
+
+const CHANGELOG_FILE = 'changelog.json';
+const MAX_CHANGELOG_ENTRIES = 1000;
+
+// 比對的標準欄位 (與 Google Calendar 顯示相關,不含 rawData 等內部欄位)
+const TRACKED_FIELDS = [
+  'name',
+  'dateStart',
+  'dateEnd',
+  'location.city',
+  'location.country',
+  'location.venue',
+  'category',
+  'level',
+  'prize',
+  'url',
+  'status'
+];
+
+// 欄位缺值時的預設值 (與 hashUtils 相同),舊年份檔案沒有 status 時不會記錄成 null → scheduled 的變更
+const FIELD_DEFAULTS = {
+  status: 'scheduled'
+};
+
+/**
+ * 取得巢狀欄位值 (缺值時為 FIELD_DEFAULTS 的預設值,沒有預設值時為 null)
+ * @param {Object} event - 賽事物件
+ * @param {string} field - 欄位路徑 (例如: 'location.city')
+ * @returns {*} 欄位值
+ */
+function getFieldValue(event, field) {
+  const value = field.split('.').reduce((acc, key) => (acc == null ? undefined : acc[key]), event);
+  return value === undefined || value === null || value === '' ? FIELD_DEFAULTS[field] ?? null : value;
+}
+
+/**
+ * 取得賽事所屬年份 (依 dateStart 的 UTC 年份)
+ * @param {Object} event - 賽事物件
+ * @returns {number|null} 年份
+ */
+function getEventYear(event) {
+  const start = new Date(event.dateStart || '');
+  return isNaN(start.getTime()) ? null : start.getUTCFullYear();
+}
+
+/**
+ * 比對前後兩批標準化賽事
+ * @param {Array} previousEvents - 先前的賽事
+ * @param {Array} currentEvents - 本次的賽事
+ * @returns {{ added: Array, removed: Array, missing: Array, restored: Array, changed: Array }} 差異
+ */
+export function diffEvents(previousEvents, currentEvents) {
+  const previousMap = new Map(previousEvents.map(event => [event.id, event]));
+  const currentMap = new Map(currentEvents.map(event => [event.id, event]));
+
+  const added = currentEvents.filter(event => !previousMap.has(event.id));
+  const removed = previousEvents.filter(event => !currentMap.has(event.id));
+  const missing = [];
+  const restored = [];
+  const changed = [];
+
+  for (const event of currentEvents) {
+    const previous = previousMap.get(event.id);
+    if (!previous) continue;
+
+    if (event.missingSince && !previous.missingSince) missing.push(event);
+    if (!event.missingSince && previous.missingSince) restored.push(event);
+
+    const changes = [];
+    for (const field of TRACKED_FIELDS) {
+      const from = getFieldValue(previous, field);
+      const to = getFieldValue(event, field);
+      if (JSON.stringify(from) !== JSON.stringify(to)) {
+        changes.push({ field, from, to });
+      }
+    }
+
+    if (changes.length > 0) {
+      changed.push({ event, changes });
+    }
+  }
+
+  return { added, removed, missing, restored, changed };
+}
+
+/**
+ * 將差異轉為 changelog 項目
+ * @param {Object} diff - diffEvents 的結果
+ * @param {string} timestamp - 記錄時間
+ * @returns {Array} changelog 項目
+ */
+function toEntries(diff, timestamp) {
+  const summary = event => ({ id: event.id, name: event.name || null, year: getEventYear(event) });
+
+  return [
+    ...diff.changed.map(({ event, changes }) => ({ timestamp, type: 'changed', ...summary(event), changes })),
+    ...diff.added.map(event => ({ timestamp, type: 'added', ...summary(event) })),
+    ...diff.missing.map(event => ({ timestamp, type: 'missing', ...summary(event), missingSince: event.missingSince })),
+    ...diff.restored.map(event => ({ timestamp, type: 'restored', ...summary(event) })),
+    ...diff.removed.map(event => ({ timestamp, type: 'removed', ...summary(event) }))
+  ];
+}
+
+/**
+ * 比對前後賽事並附加到 changelog.json (沒有差異時不寫入)
+ * @param {string} sportId - 運動 ID
+ * @param {string} sportDir - 運動資料目錄
+ * @param {Array} previousEvents - 先前年份檔案中的賽事
+ * @param {Array} currentEvents - 本次的賽事
+ * @returns {Promise<Object>} 各類型本次記錄的數量 { added, removed, missing, restored, changed }
+ */
+export async function appendChangelog(sportId, sportDir, previousEvents, currentEvents) {
+  const diff = diffEvents(previousEvents, currentEvents);
+  const counts = Object.fromEntries(Object.entries(diff).map(([type, events]) => [type, events.length]));
+
+  if (Object.values(counts).every(count => count === 0)) {
+    return counts;
+  }
+
+  const filePath = path.join(sportDir, CHANGELOG_FILE);
+  let changelog = { sportId, lastUpdated: null, entries: [] };
+
+  try {
+    changelog = await readJsonFile(filePath);
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+
+  const timestamp = new Date().toISOString();
+  changelog.entries = [...(changelog.entries || []), ...toEntries(diff, timestamp)].slice(-MAX_CHANGELOG_ENTRIES);
+  changelog.lastUpdated = timestamp;
+
+  await writeJsonFile(filePath, changelog);
+  console.log(`📝 Changelog for ${sportId}: ${Object.entries(counts).map(([type, count]) => `${count} ${type}`).join(', ')}`);
+
+  return counts;
+}
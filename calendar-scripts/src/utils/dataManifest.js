@@ -0,0 +1,163 @@
+/**
+ * Data Manifest - 產生 public/data/index.json,讓前端與 API 使用者不需猜測檔名即可找到資料
+ *
+ * {
+ *   version: 1,
+ *   generatedAt: '2025-01-20T00:00:00.000Z',
+ *   storage: 'json',
+ *   calendars: '/data/calendars.json',
+ *   sports: [{
+ *     sportId: 'bwf',
+ *     totalEvents: 42,
+ *     years: [{ year: 2025, path: '/data/bwf/2025.json', events: 42, missingEvents: 0, hash, lastUpdated }],
+ *     changelog: '/data/bwf/changelog.json',
+ *     sync: { status: 'success', syncedEvents, calendars: { [segmentKey]: { calendarId, syncedEvents } }, lastResult }
+ *   }]
+ * }
+ *
+ * hash 為年份賽事內容的 hash,可作為快取參數 (例如 2025.json?v={hash})
+ * 清單會提交到版本控制,因此不列出每次執行都會改變的時間 (抓取時間、最後同步時間),
+ * lastUpdated 只在年份檔案內容變更而重寫時才會改變
+ * 使用 SQLite 儲存後端時年份資料不會輸出到 public/data,path 為 null
+ */
+
+import fs from 'fs/promises';
+import { getStorage } from '../storage/storageFactory.js';
+import { loadAllSyncStates } from './syncStateManager.js';
+import { readJsonFile, writeJsonFile } from './jsonFile.js';
+import { hashPayload } from './responseCache.js';
+import { getPublicDataDir } from './dataPaths.js';
+
+const MANIFEST_FILE_NAME = 'index.json';
+const MANIFEST_VERSION = 1;
+
+/**
+ * 檢查 public/data 下的檔案是否存在
+ * @param {...string} segments - 相對於 public/data 的路徑
+ * @returns {Promise<string|null>} 前端使用的 URL 路徑,不存在時為 null
+ */
+async function getPublicPath(...segments) {
+  try {
+    await fs.access(getPublicDataDir(...segments));
+    return `/data/${segments.join('/')}`;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * 整理單一運動的同步狀態
+ * @param {Object|undefined} sportSyncState - 運動的同步狀態分片
+ * @returns {Object|null} 同步摘要,尚未同步時為 null
+ */
+function summarizeSyncState(sportSyncState) {
+  if (!sportSyncState) return null;
+
+  const stats = sportSyncState.stats || {};
+  const calendars = {};
+  for (const [segmentKey, calendarState] of Object.entries(sportSyncState.calendars || {})) {
+    calendars[segmentKey] = {
+      calendarId: calendarState.calendarId || null,
+      syncedEvents: Object.keys(calendarState.events || {}).length
+    };
+  }
+
+  return {
+    status: stats.status || null,
+    syncedEvents: Object.values(calendars).reduce((total, calendar) => total + calendar.syncedEvents, 0),
+    calendars,
+    lastResult: stats.lastResult || null
+  };
+}
+
+/**
+ * 整理單一運動的年份資料
+ * @param {Object} storage - 儲存後端
+ * @param {string} sportId - 運動 ID
+ * @returns {Promise<Array>} 年份摘要
+ */
+async function summarizeYears(storage, sportId) {
+  const years = [];
+
+  for (const year of await storage.listYears(sportId)) {
+    const yearData = await storage.readYear(sportId, year);
+    const events = yearData?.events || [];
+
+    years.push({
+      year,
+      path: storage.type === 'json' ? await getPublicPath(sportId, `${year}.json`) : null,
+      events: events.length,
+      missingEvents: events.filter(event => event.missingSince).length,
+      hash: hashPayload(events),
+      lastUpdated: yearData?.metadata?.lastUpdated || null
+    });
+  }
+
+  return years;
+}
+
+/**
+ * 依目前的儲存後端與同步狀態建立資料清單
+ * @returns {Promise<Object>} 資料清單
+ */
+export async function buildDataManifest() {
+  const storage = getStorage();
+  const syncStates = await loadAllSyncStates();
+
+  // 有年份資料或同步狀態分片的運動都列出
+  const sportIds = [...new Set([...await storage.listSports(), ...Object.keys(syncStates)])].sort();
+
+  const sports = [];
+  for (const sportId of sportIds) {
+    const years = await summarizeYears(storage, sportId);
+
+    sports.push({
+      sportId,
+      totalEvents: years.reduce((total, entry) => total + entry.events, 0),
+      years,
+      changelog: await getPublicPath(sportId, 'changelog.json'),
+      sync: summarizeSyncState(syncStates[sportId])
+    });
+  }
+
+  return {
+    version: MANIFEST_VERSION,
+    generatedAt: new Date().toISOString(),
+    storage: storage.type,
+    calendars: await getPublicPath('calendars.json'),
+    sports
+  };
+}
+
+/**
+ * 產生並寫入 public/data/index.json (除了 generatedAt 以外都未變更時不重寫)
+ * @returns {Promise<Object>} 資料清單
+ */
+export async function writeDataManifest() {
+  try {
+    const manifest = await buildDataManifest();
+    const manifestFile = getPublicDataDir(MANIFEST_FILE_NAME);
+
+    let previous = null;
+    try {
+      previous = await readJsonFile(manifestFile);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    const withoutTimestamp = ({ generatedAt, ...rest }) => JSON.stringify(rest);
+    if (previous && withoutTimestamp(previous) === withoutTimestamp(manifest)) {
+      console.log(`⏭️  ${manifestFile} unchanged, not rewriting`);
+      return previous;
+    }
+
+    // 清單隨時可由儲存後端重新產生,不需要 .bak 備份
+    await writeJsonFile(manifestFile, manifest, { backup: false });
+    console.log(`🗂️  Wrote data manifest for ${manifest.sports.length} sports to ${manifestFile}`);
+
+    return manifest;
+  } catch (error) {
+    console.error('Error writing data manifest:', error);
+    throw error;
+  }
+}
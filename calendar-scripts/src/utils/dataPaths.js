@@ -0,0 +1,40 @@
+/**
+ * Data Paths - 執行時寫入的資料目錄
+ *
+ * - CALENDAR_DATA_DIR: 後端狀態 (sync-state、response-cache、sync-plans、run.lock、circuit-state.json),預設 calendar-scripts/data
+ * - PUBLIC_DATA_DIR: 前端讀取的公開資料 (年份檔案、calendars.json、index.json),預設 public/data
+ *
+ * 映射配置與來源設定 (data/mapping-configs、data/source-configs) 屬於程式碼,不受這些設定影響
+ * 測試與本地實驗可指向暫存目錄,不修改提交的資料
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_STATE_DIR = path.join(__dirname, '../../data');
+const DEFAULT_PUBLIC_DATA_DIR = path.join(__dirname, '../../../public/data');
+
+/**
+ * 取得後端狀態目錄 (在呼叫時才讀取環境變數,確保 dotenv 已載入)
+ * @param {...string} segments - 目錄下的路徑 (可選)
+ * @returns {string} 絕對路徑
+ */
+export function getStateDir(...segments) {
+  const dir = process.env.CALENDAR_DATA_DIR
+    ? path.resolve(process.cwd(), process.env.CALENDAR_DATA_DIR)
+    : DEFAULT_STATE_DIR;
+  return path.join(dir, ...segments);
+}
+
+/**
+ * 取得公開資料目錄 (在呼叫時才讀取環境變數,確保 dotenv 已載入)
+ * @param {...string} segments - 目錄下的路徑 (可選)
+ * @returns {string} 絕對路徑
+ */
+export function getPublicDataDir(...segments) {
+  const dir = process.env.PUBLIC_DATA_DIR
+    ? path.resolve(process.cwd(), process.env.PUBLIC_DATA_DIR)
+    : DEFAULT_PUBLIC_DATA_DIR;
+  return path.join(dir, ...segments);
+}
@@ -0,0 +1,116 @@
+/**
+ * Deletion Guard - 避免來源只回傳部分賽事 (或映射失效) 時大量刪除訂閱者日曆上的事件
+ *
+ * 同步計畫 (每個日曆各一份) 的刪除數超過下列任一上限時,中止該運動的同步 (不送出任何寫入):
+ * - 本地賽事為空時的任何刪除
+ * - 刪除數超過 SYNC_MAX_DELETES (預設 20)
+ * - 刪除數佔同步狀態中事件數的比例超過 SYNC_MAX_DELETE_RATIO (預設 0.2)
+ *   只在刪除數達到 SYNC_MIN_DELETES_FOR_RATIO (預設 5) 時檢查,避免事件很少的日曆 (例如 majors) 因正常移除 1-2 場賽事而中止
+ *
+ * 確認刪除是預期的 (例如賽季結束或賽事 ID 格式變更) 時,以 --force-deletes 或 SYNC_FORCE_DELETES=true 略過
+ */
+
+import { getSegmentLabel } from './calendarSegments.js';
+
+const DEFAULT_GUARD_OPTIONS = {
+  maxDeletes: 20,
+  maxDeleteRatio: 0.2,
+  minDeletesForRatio: 5
+};
+
+// 報告中列出的刪除事件數上限 (其餘只顯示數量)
+const REPORT_LIST_LIMIT = 20;
+
+/**
+ * 取得刪除上限設定 (環境變數可覆寫)
+ * @param {Object} options - 覆寫設定
+ * @returns {Object} { maxDeletes, maxDeleteRatio, minDeletesForRatio }
+ */
+function getGuardOptions(options) {
+  const fromEnv = {};
+  const maxDeletes = parseInt(process.env.SYNC_MAX_DELETES);
+  const maxDeleteRatio = parseFloat(process.env.SYNC_MAX_DELETE_RATIO);
+  const minDeletesForRatio = parseInt(process.env.SYNC_MIN_DELETES_FOR_RATIO);
+
+  if (maxDeletes >= 0) fromEnv.maxDeletes = maxDeletes;
+  if (maxDeleteRatio >= 0) fromEnv.maxDeleteRatio = maxDeleteRatio;
+  if (minDeletesForRatio >= 0) fromEnv.minDeletesForRatio = minDeletesForRatio;
+
+  return { ...DEFAULT_GUARD_OPTIONS, ...fromEnv, ...options };
+}
+
+/**
+ * 檢查同步計畫的刪除數是否超過上限
+ * @param {Object} plan - 同步計畫 (buildSyncPlan)
+ * @param {number} trackedCount - 日曆的同步狀態中的事件數 (刪除比例的分母)
+ * @param {Object} options - 覆寫設定 { maxDeletes, maxDeleteRatio, minDeletesForRatio } (可選)
+ * @returns {Object} { blocked, reasons, deleteCount, trackedCount, localCount, ratio, limits }
+ */
+export function checkDeletionGuard(plan, trackedCount, options = {}) {
+  const limits = getGuardOptions(options);
+  const deleteCount = plan.summary.delete;
+  const localCount = plan.actions.filter(action => action.type !== 'delete').length;
+  const ratio = trackedCount > 0 ? deleteCount / trackedCount : 0;
+  const reasons = [];
+
+  if (deleteCount > 0) {
+    if (localCount === 0) {
+      reasons.push(`no local events, but ${deleteCount} calendar events would be deleted`);
+    }
+    if (deleteCount > limits.maxDeletes) {
+      reasons.push(`${deleteCount} deletions exceed the limit of ${limits.maxDeletes} (SYNC_MAX_DELETES)`);
+    }
+    if (deleteCount >= limits.minDeletesForRatio && ratio > limits.maxDeleteRatio) {
+      reasons.push(
+        `${(ratio * 100).toFixed(1)}% of ${trackedCount} synced events would be deleted, ` +
+        `over the limit of ${(limits.maxDeleteRatio * 100).toFixed(1)}% (SYNC_MAX_DELETE_RATIO)`
+      );
+    }
+  }
+
+  return { blocked: reasons.length > 0, reasons, deleteCount, trackedCount, localCount, ratio, limits };
+}
+
+/**
+ * 格式化刪除上限的檢查結果 (包含部分要刪除的事件)
+ * @param {Object} plan - 同步計畫
+ * @param {Object} guard - checkDeletionGuard 的結果
+ * @returns {string} 人類可讀的報告
+ */
+export function formatDeletionGuardReport(plan, guard) {
+  const deletes = plan.actions.filter(action => action.type === 'delete');
+  const lines = [
+    `🛑 Mass deletion guard for ${getSegmentLabel(plan.sportId, plan.segment)}: ${guard.deleteCount} of ${guard.trackedCount} synced events would be deleted ` +
+    `(${guard.localCount} local events)`
+  ];
+
+  for (const reason of guard.reasons) {
+    lines.push(`   - ${reason}`);
+  }
+
+  for (const action of deletes.slice(0, REPORT_LIST_LIMIT)) {
+    lines.push(`     - ${action.name ? `${action.eventId} "${action.name}"` : action.eventId}`);
+  }
+  if (deletes.length > REPORT_LIST_LIMIT) {
+    lines.push(`     ... and ${deletes.length - REPORT_LIST_LIMIT} more`);
+  }
+
+  lines.push('   Check the source data and mapping; if these deletions are expected, re-run with --force-deletes (or SYNC_FORCE_DELETES=true)');
+
+  return lines.join('\n');
+}
+
+/**
+ * 建立中止同步的錯誤
+ * @param {Object} plan - 同步計畫
+ * @param {Object} guard - checkDeletionGuard 的結果
+ * @returns {Error} 錯誤 (code 為 'MASS_DELETION_BLOCKED',guard 為檢查結果)
+ */
+export function createDeletionGuardError(plan, guard) {
+  const error = new Error(
+    `Sync for ${getSegmentLabel(plan.sportId, plan.segment)} aborted: ${guard.deleteCount} calendar events would be deleted (${guard.reasons.join('; ')})`
+  );
+  error.code = 'MASS_DELETION_BLOCKED';
+  error.guard = guard;
+  return error;
+}
@@ -0,0 +1,135 @@
+/**
+ * Event ID - 產生可重現的賽事 ID 並偵測重複
+ *
+ * 每個運動的主要 ID 規則由映射配置的 fields.id 決定 (例如 BWF 的 buildId template)；
+ * 上游缺少 id / code 時改用穩定欄位的 hash，讓同一場賽事在每次執行都得到相同的 ID，
+ * 避免 syncWithCalendar 誤判為刪除後重建
+ *
+ * 映射配置可用 idFallback.fields 指定參與 hash 的欄位 (預設: 名稱、開始日期、國家)
+ */
+
+import crypto from 'crypto';
+
+const DEFAULT_FALLBACK_FIELDS = ['name', 'dateStart', 'location.country'];
+
+/**
+ * 取得巢狀欄位值
+ * @param {Object} event - 賽事物件
+ * @param {string} field - 欄位路徑 (例如: 'location.country')
+ * @returns {*} 欄位值
+ */
+function getFieldValue(event, field) {
+  return field.split('.').reduce((acc, key) => (acc == null ? undefined : acc[key]), event);
+}
+
+/**
+ * 正規化參與 hash 的欄位值 (忽略大小寫、多餘空白與日期的時間部分)
+ * @param {string} field - 欄位路徑
+ * @param {*} value - 欄位值
+ * @returns {string} 正規化後的字串
+ */
+function normalizeValue(field, value) {
+  if (value === null || value === undefined) return '';
+
+  const text = String(value).trim();
+  if (field.startsWith('date') && /^\d{4}-\d{2}-\d{2}/.test(text)) {
+    return text.substring(0, 10);
+  }
+
+  return text.toLowerCase().replace(/\s+/g, ' ');
+}
+
+/**
+ * 計算賽事穩定欄位的 hash
+ * @param {Object} event - 標準化後的賽事
+ * @param {Array<string>} fields - 參與 hash 的欄位
+ * @returns {string} MD5 hash (前 12 字元)
+ */
+function hashStableFields(event, fields) {
+  const hashInput = fields.map(field => `${field}=${normalizeValue(field, getFieldValue(event, field))}`).join('|');
+
+  return crypto
+    .createHash('md5')
+    .update(hashInput)
+    .digest('hex')
+    .substring(0, 12);
+}
+
+/**
+ * 取得映射配置指定的備援 hash 欄位
+ * @param {Object} mappingConfig - 映射配置 (可選)
+ * @returns {Array<string>} 欄位路徑陣列
+ */
+function getFallbackFields(mappingConfig) {
+  const fields = mappingConfig?.idFallback?.fields;
+  return Array.isArray(fields) && fields.length > 0 ? fields : DEFAULT_FALLBACK_FIELDS;
+}
+
+/**
+ * 映射規則無法產生 ID 時的備援 ID (由穩定欄位 hash 而來)
+ * @param {string} sportId - 運動 ID
+ * @param {Object} event - 標準化後的賽事
+ * @param {Object} mappingConfig - 映射配置 (可選)
+ * @returns {string} 備援 ID (例如: 'bwf-h1a2b3c4d5e6f')
+ */
+export function buildFallbackId(sportId, event, mappingConfig = null) {
+  return `${sportId}-h${hashStableFields(event, getFallbackFields(mappingConfig))}`;
+}
+
+/**
+ * 偵測並處理同一批賽事中的重複 ID
+ * 不同內容的賽事共用 ID 時，穩定欄位 hash 最小的賽事保留原本的 ID，其餘以 hash 加上後綴區分
+ * (不依來源回傳的順序，順序改變時不會互換 ID)；
+ * 連穩定欄位都相同的重複賽事只保留第一筆
+ * @param {Array} events - 標準化後的賽事
+ * @param {Object} mappingConfig - 映射配置 (可選)
+ * @returns {{ events: Array, duplicates: Array<{id: string, count: number, resolvedIds: Array<string>, dropped: number}> }} 處理後的賽事與重複報告
+ */
+export function resolveDuplicateIds(events, mappingConfig = null) {
+  const groups = new Map();
+  for (const event of events) {
+    if (!groups.has(event.id)) groups.set(event.id, []);
+    groups.get(event.id).push(event);
+  }
+
+  const fields = getFallbackFields(mappingConfig);
+  const duplicates = [];
+  const resolvedIds = new Map();
+
+  for (const [id, group] of groups.entries()) {
+    if (group.length < 2) continue;
+
+    // hash 最小的賽事保留原本的 ID (可能已同步到日曆),其餘加上後綴;sort 為穩定排序,hash 相同時保留來源中的第一筆
+    const hashed = group
+      .map(event => ({ event, hash: hashStableFields(event, fields) }))
+      .sort((a, b) => a.hash.localeCompare(b.hash));
+
+    const ids = [];
+    const seenHashes = new Set();
+    let dropped = 0;
+    for (const { event, hash } of hashed) {
+      if (seenHashes.has(hash)) {
+        dropped++;
+        resolvedIds.set(event, null);
+        continue;
+      }
+      const resolvedId = seenHashes.size === 0 ? id : `${id}-${hash}`;
+      seenHashes.add(hash);
+      ids.push(resolvedId);
+      resolvedIds.set(event, resolvedId);
+    }
+
+    duplicates.push({ id, count: group.length, resolvedIds: ids, dropped });
+  }
+
+  const resolved = [];
+  for (const event of events) {
+    if (!resolvedIds.has(event)) {
+      resolved.push(event);
+    } else if (resolvedIds.get(event)) {
+      resolved.push({ ...event, id: resolvedIds.get(event) });
+    }
+  }
+
+  return { events: resolved, duplicates };
+}
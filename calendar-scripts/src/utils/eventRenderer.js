@@ -0,0 +1,108 @@
+/**
+ * Event Renderer - 將標準化賽事轉換為寫入日曆的事件內容 (Google Calendar API 格式,不含來源識別)
+ *
+ * 同步以 calculateRenderHash (事件內容的 hash) 判斷日曆上的事件是否需要重新寫入,
+ * 因此修改這裡的格式或 adapter 產生的 description 後,內容實際改變的事件都會在下次同步時更新。
+ *
+ * 修改格式時請遞增 RENDER_VERSION: 版本包含在來源內容 hash 中,
+ * 讓「來源未變更時略過同步」不會擋下重新寫入 (見 responseCache.getSourceDigest)
+ */
+
+import crypto from 'crypto';
+
+// 事件內容格式的版本 (修改 renderEvent 或 adapter 的 description 時遞增)
+export const RENDER_VERSION = 1;
+
+// 非正常舉行的賽事在事件標題前加上的標記
+// (不使用 Google Calendar 的 status: 'cancelled',那會讓事件從訂閱者的日曆消失,而不是顯示為取消)
+const STATUS_PREFIXES = {
+  'cancelled': '[CANCELLED]',
+  'postponed': '[POSTPONED]'
+};
+
+/**
+ * 建立寫入日曆的事件內容
+ * @param {Object} event - 標準化的賽事
+ * @returns {Object} Google Calendar 事件資料 (不含 extendedProperties)
+ */
+export function renderEvent(event) {
+  const statusPrefix = STATUS_PREFIXES[event.status];
+
+  return {
+    summary: statusPrefix ? `${statusPrefix} ${event.name}` : event.name,
+    location: formatLocation(event.location),
+    description: formatDescription(event),
+    start: {
+      date: formatDate(event.dateStart),
+      timeZone: 'UTC'
+    },
+    end: {
+      date: formatDate(event.dateEnd, true),
+      timeZone: 'UTC'
+    },
+    transparency: 'transparent',
+    visibility: 'public',
+    source: {
+      title: `${event.source} Calendar`,
+      url: event.url || ''
+    }
+  };
+}
+
+/**
+ * 計算寫入日曆的事件內容的 hash
+ * @param {Object} event - 標準化的賽事
+ * @returns {string} MD5 hash (前 16 字元)
+ */
+export function calculateRenderHash(event) {
+  return crypto
+    .createHash('md5')
+    .update(JSON.stringify(renderEvent(event)))
+    .digest('hex')
+    .substring(0, 16);
+}
+
+/**
+ * 格式化事件描述 (非正常舉行的賽事在開頭加上狀態)
+ * @param {Object} event - 事件物件
+ * @returns {string} 事件描述
+ */
+function formatDescription(event) {
+  const description = event.description || '';
+  if (!event.status || event.status === 'scheduled') return description;
+
+  const statusLine = `Status: ${event.statusLabel || event.status}`;
+  return description ? `${statusLine}\n\n${description}` : statusLine;
+}
+
+/**
+ * 格式化位置資訊
+ * @param {Object} location - 位置物件
+ * @returns {string} 格式化的位置字串
+ */
+function formatLocation(location) {
+  if (!location) return '';
+
+  return [location.venue, location.city, location.country]
+    .filter(Boolean)
+    .join(', ');
+}
+
+/**
+ * 格式化日期為 YYYY-MM-DD 格式
+ * @param {string} dateString - ISO 日期字串
+ * @param {boolean} isEndDate - 是否為結束日期 (Google Calendar 需要加一天)
+ * @returns {string} 格式化的日期
+ */
+function formatDate(dateString, isEndDate = false) {
+  let dateStr = dateString.split('T')[0];
+
+  // Google Calendar 的全天事件結束日期需要是「隔天」
+  if (isEndDate) {
+    const date = new Date(dateStr + 'T00:00:00Z');
+    date.setUTCDate(date.getUTCDate() + 1);
+    dateStr = date.toISOString().split('T')[0];
+  }
+
+  return dateStr;
+}
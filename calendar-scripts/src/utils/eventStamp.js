@@ -0,0 +1,57 @@
+/**
+ * Event Stamp - 寫入日曆事件的來源識別 (extendedProperties.private)
+ *
+ * 每個同步到日曆的事件都帶有:
+ * {
+ *   sportId: 'bwf',
+ *   sourceEventId: 'bwf-5222-BD7DDFAC',
+ *   contentHash: 'e35c343ad618ac91',
+ *   hashVersion: '2',
+ *   renderHash: 'e3feaf4c6e377c1d'
+ * }
+ *
+ * 同步狀態遺失或還原到舊版本時,reconcileService 依此從日曆重建本地 ID ↔ Google Event ID 的映射,
+ * 因此同步狀態只是快取,日曆本身才是事實來源
+ * (extendedProperties 的值只能是字串)
+ */
+
+import { HASH_VERSION } from './hashUtils.js';
+
+/**
+ * 建立事件的來源識別
+ * @param {string} sportId - 運動 ID
+ * @param {Object} event - 標準化的賽事
+ * @param {string} hash - 賽事內容 hash (calculateEventHash)
+ * @param {string} renderHash - 事件內容的 hash (calculateRenderHash)
+ * @returns {Object} extendedProperties
+ */
+export function buildEventStamp(sportId, event, hash, renderHash) {
+  return {
+    private: {
+      sportId,
+      sourceEventId: String(event.id),
+      contentHash: hash,
+      hashVersion: String(HASH_VERSION),
+      renderHash
+    }
+  };
+}
+
+/**
+ * 讀取日曆事件的來源識別
+ * @param {Object} remoteEvent - 日曆事件 (Google Calendar API 格式)
+ * @returns {Object|null} { sportId, sourceEventId, contentHash, hashVersion, renderHash },沒有識別時為 null
+ */
+export function readEventStamp(remoteEvent) {
+  const properties = remoteEvent?.extendedProperties?.private;
+  if (!properties?.sportId || !properties?.sourceEventId) return null;
+
+  const hashVersion = parseInt(properties.hashVersion);
+  return {
+    sportId: properties.sportId,
+    sourceEventId: properties.sourceEventId,
+    contentHash: properties.contentHash || '',
+    hashVersion: Number.isInteger(hashVersion) ? hashVersion : null,
+    renderHash: properties.renderHash || null
+  };
+}
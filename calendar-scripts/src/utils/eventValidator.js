@@ -0,0 +1,134 @@
+/**
+ * Event Validator - 依 mapping config 的 validation 區塊檢查標準化賽事
+ *
+ * 支援的規則：
+ * - required: 必填欄位 (支援 location.country 這類巢狀路徑)
+ * - dateFields: 必須是可解析的 ISO 8601 日期
+ * - dateOrder: [開始欄位, 結束欄位]，結束不可早於開始
+ * - maxRejectionRatio: 單次執行可接受的剔除比例上限
+ */
+
+// 預設剔除比例上限 (超過即中止該運動的處理)
+const DEFAULT_MAX_REJECTION_RATIO = 0.2;
+
+/**
+ * 取得巢狀欄位值
+ * @param {Object} event - 賽事物件
+ * @param {string} field - 欄位路徑 (例如: 'location.country')
+ * @returns {*} 欄位值
+ */
+function getFieldValue(event, field) {
+  return field.split('.').reduce((acc, key) => (acc == null ? undefined : acc[key]), event);
+}
+
+/**
+ * 將日期字串轉為時間戳記 (空值或無法解析時為 NaN)
+ * @param {*} value - 日期字串
+ * @returns {number} 時間戳記
+ */
+function toTimestamp(value) {
+  if (typeof value !== 'string' || value === '') return NaN;
+  return new Date(value).getTime();
+}
+
+/**
+ * 檢查單一賽事是否符合驗證規則
+ * @param {Object} event - 標準化後的賽事
+ * @param {Object} rules - mapping config 的 validation 區塊
+ * @returns {Array<{field: string, rule: string, reason: string}>} 錯誤清單 (空陣列代表通過)
+ */
+export function validateEvent(event, rules = {}) {
+  const errors = [];
+
+  for (const field of rules.required || []) {
+    const value = getFieldValue(event, field);
+    if (value === null || value === undefined || (typeof value === 'string' && value.trim() === '')) {
+      errors.push({ field, rule: 'required', reason: `Missing required field "${field}"` });
+    }
+  }
+
+  for (const field of rules.dateFields || []) {
+    const value = getFieldValue(event, field);
+    // 缺值已由 required 回報
+    if (value === null || value === undefined || value === '') continue;
+
+    if (isNaN(toTimestamp(value))) {
+      errors.push({ field, rule: 'dateFields', reason: `Invalid date value "${value}" in "${field}"` });
+    }
+  }
+
+  if (Array.isArray(rules.dateOrder) && rules.dateOrder.length === 2) {
+    const [startField, endField] = rules.dateOrder;
+    const start = toTimestamp(getFieldValue(event, startField));
+    const end = toTimestamp(getFieldValue(event, endField));
+
+    if (!isNaN(start) && !isNaN(end) && end < start) {
+      errors.push({ field: endField, rule: 'dateOrder', reason: `"${endField}" is earlier than "${startField}"` });
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * 取得剔除比例上限 (環境變數 VALIDATION_MAX_REJECTION_RATIO 優先)
+ * @param {Object} rules - mapping config 的 validation 區塊
+ * @returns {number} 剔除比例上限 (0-1)
+ */
+export function getMaxRejectionRatio(rules = {}) {
+  const fromEnv = parseFloat(process.env.VALIDATION_MAX_REJECTION_RATIO);
+  if (!isNaN(fromEnv)) return fromEnv;
+
+  return typeof rules.maxRejectionRatio === 'number'
+    ? rules.maxRejectionRatio
+    : DEFAULT_MAX_REJECTION_RATIO;
+}
+
+/**
+ * 驗證一批標準化賽事並產生報告
+ * @param {string} sportId - 運動 ID
+ * @param {Array} events - 標準化後的賽事陣列
+ * @param {Object} mappingConfig - 映射配置
+ * @returns {{ accepted: Array, report: Object }} 通過驗證的賽事與驗證報告
+ */
+export function validateEvents(sportId, events, mappingConfig = {}) {
+  const rules = mappingConfig.validation || {};
+  const maxRejectionRatio = getMaxRejectionRatio(rules);
+  const accepted = [];
+  const rejected = [];
+
+  for (const event of events) {
+    const errors = validateEvent(event, rules);
+
+    if (errors.length === 0) {
+      accepted.push(event);
+      continue;
+    }
+
+    const start = toTimestamp(event.dateStart);
+    rejected.push({
+      id: event.id || null,
+      name: event.name || null,
+      year: isNaN(start) ? null : new Date(start).getUTCFullYear(),
+      errors
+    });
+  }
+
+  const rejectionRatio = events.length > 0 ? rejected.length / events.length : 0;
+
+  return {
+    accepted,
+    report: {
+      sportId,
+      generatedAt: new Date().toISOString(),
+      mappingConfigVersion: mappingConfig.version || null,
+      totalEvents: events.length,
+      acceptedEvents: accepted.length,
+      rejectedEvents: rejected.length,
+      rejectionRatio: Number(rejectionRatio.toFixed(4)),
+      maxRejectionRatio,
+      thresholdExceeded: rejectionRatio > maxRejectionRatio,
+      rejected
+    }
+  };
+}
@@ -0,0 +1,121 @@
+/**
+ * Fixture Store - 錄製與重播資料來源的原始回應
+ *
+ * FIXTURE_MODE:
+ * - off (預設): 正常呼叫網路
+ * - record: 正常呼叫網路，並將原始回應存到 FIXTURE_DIR
+ * - replay: 不呼叫網路，直接讀取 FIXTURE_DIR 中的回應 (找不到時拋出錯誤)
+ *
+ * 檔案位置: {FIXTURE_DIR}/{key}.json (key 可包含子目錄，例如 'bwf/season-2025')
+ *
+ * 依賽季逐年錄製的來源在重播時使用錄製的年份 (listRecordedSeasonYears)，不依目前日期計算，跨年後 fixture 仍可重播
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_FIXTURE_DIR = path.join(__dirname, '../../data/fixtures');
+
+/**
+ * 取得目前的 fixture 模式
+ * @returns {'off'|'record'|'replay'} fixture 模式
+ */
+export function getFixtureMode() {
+  const mode = (process.env.FIXTURE_MODE || 'off').toLowerCase();
+  if (!['off', 'record', 'replay'].includes(mode)) {
+    throw new Error(`Invalid FIXTURE_MODE "${mode}", expected off, record or replay`);
+  }
+  return mode;
+}
+
+/**
+ * 取得 fixture 檔案路徑
+ * @param {string} key - fixture 名稱
+ * @returns {string} 檔案路徑
+ */
+function getFixturePath(key) {
+  const dir = process.env.FIXTURE_DIR
+    ? path.resolve(process.cwd(), process.env.FIXTURE_DIR)
+    : DEFAULT_FIXTURE_DIR;
+  return path.join(dir, `${key}.json`);
+}
+
+/**
+ * 列出已錄製的賽季年份 ({FIXTURE_DIR}/{prefix}/season-{year}.json)
+ * @param {string} prefix - fixture 名稱的目錄 (例如 'bwf')
+ * @returns {Promise<number[]>} 年份陣列 (遞增，沒有錄製時為空陣列)
+ */
+export async function listRecordedSeasonYears(prefix) {
+  const dir = path.dirname(getFixturePath(`${prefix}/season-0`));
+
+  let files;
+  try {
+    files = await fs.readdir(dir);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  return files
+    .map(file => file.match(/^season-(\d{4})\.json$/))
+    .filter(Boolean)
+    .map(match => parseInt(match[1]))
+    .sort((a, b) => a - b);
+}
+
+/**
+ * 讀取 fixture
+ * @param {string} key - fixture 名稱
+ * @returns {Promise<*>} 錄製的回應
+ */
+export async function readFixture(key) {
+  const filePath = getFixturePath(key);
+
+  try {
+    const data = await fs.readFile(filePath, 'utf-8');
+    console.log(`📼 Replaying fixture ${key}`);
+    return JSON.parse(data);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new Error(`Fixture "${key}" not found at ${filePath} (FIXTURE_MODE=replay)`);
+    }
+    throw error;
+  }
+}
+
+/**
+ * 寫入 fixture
+ * @param {string} key - fixture 名稱
+ * @param {*} data - 原始回應
+ */
+export async function writeFixture(key, data) {
+  const filePath = getFixturePath(key);
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, JSON.stringify(data, null, 2), 'utf-8');
+  console.log(`📼 Recorded fixture ${key}`);
+}
+
+/**
+ * 依 fixture 模式執行資料取得
+ * replay 時讀取 fixture，record 時在取得後寫入 fixture，off 時直接執行
+ * @param {string} key - fixture 名稱
+ * @param {Function} fetcher - 實際取得資料的非同步函數
+ * @returns {Promise<*>} 回應資料
+ */
+export async function withFixture(key, fetcher) {
+  const mode = getFixtureMode();
+
+  if (mode === 'replay') {
+    return await readFixture(key);
+  }
+
+  const data = await fetcher();
+
+  if (mode === 'record') {
+    await writeFixture(key, data);
+  }
+
+  return data;
+}
@@ -1,12 +1,15 @@
 import crypto from 'crypto';
 
+// calculateEventHash 的演算法版本 (計算欄位或方式變更時遞增,sync-state 中版本不同的事件會重新更新)
+export const HASH_VERSION = 2;
+
 /**
- * 計算事件的 hash 值 (用於快速比對變更)
+ * 取得計算 hash 的欄位 (只包含會影響 Google Calendar 顯示的欄位,key 已排序)
+ * 同步狀態保存這份欄位,讓同步計畫可以列出欄位層級的差異
  * @param {Object} event - 事件物件
- * @returns {string} MD5 hash (前 16 字元)
+ * @returns {Object} hash 欄位
  */
-export function calculateEventHash(event) {
-  // 只對會影響 Google Calendar 顯示的欄位計算 hash
+export function getHashFields(event) {
   const hashFields = {
     name: event.name || '',
     dateStart: event.dateStart || '',
@@ -15,7 +18,8 @@ export function calculateEventHash(event) {
     category: event.category || '',
     level: event.level || '',
     prize: event.prize || '',
-    url: event.url || ''
+    url: event.url || '',
+    status: event.status || 'scheduled'
   };
 
   // 排序 key 確保穩定性
@@ -25,7 +29,16 @@ export function calculateEventHash(event) {
     sortedFields[key] = hashFields[key];
   }
 
-  const hashInput = JSON.stringify(sortedFields);
+  return sortedFields;
+}
+
+/**
+ * 計算事件的 hash 值 (用於快速比對變更)
+ * @param {Object} event - 事件物件
+ * @returns {string} MD5 hash (前 16 字元)
+ */
+export function calculateEventHash(event) {
+  const hashInput = JSON.stringify(getHashFields(event));
 
   return crypto
     .createHash('md5')
@@ -33,3 +46,29 @@ export function calculateEventHash(event) {
     .digest('hex')
     .substring(0, 16);
 }
+
+/**
+ * 比對兩份 hash 欄位 (物件欄位如 location 逐一比對子欄位)
+ * @param {Object} previousFields - 先前同步的 hash 欄位
+ * @param {Object} currentFields - 本次的 hash 欄位
+ * @returns {Array<Object>} 變更 [{ field: 'location.city', from, to }]
+ */
+export function diffHashFields(previousFields, currentFields) {
+  const changes = [];
+  const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+  const keys = [...new Set([...Object.keys(previousFields), ...Object.keys(currentFields)])].sort();
+
+  for (const key of keys) {
+    const from = previousFields[key];
+    const to = currentFields[key];
+
+    if (isObject(from) || isObject(to)) {
+      changes.push(...diffHashFields(isObject(from) ? from : {}, isObject(to) ? to : {})
+        .map(change => ({ ...change, field: `${key}.${change.field}` })));
+    } else if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes.push({ field: key, from: from ?? null, to: to ?? null });
+    }
+  }
+
+  return changes;
+}
@@ -0,0 +1,99 @@
+/**
+ * JSON File - 狀態檔案的原子寫入與損毀復原
+ *
+ * - writeJsonFile: 先寫入暫存檔並 fsync，再以 rename 取代目標檔案，程式中途結束也不會留下截斷的 JSON；
+ *   取代前會將目前可解析的內容複製為 {file}.bak
+ * - readJsonFile: 解析失敗時改讀 {file}.bak，成功則以備份還原目標檔案
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * 以原子方式寫入檔案內容 (暫存檔 + rename)
+ * @param {string} filePath - 目標檔案路徑
+ * @param {string} content - 檔案內容
+ */
+async function writeAtomic(filePath, content) {
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  const handle = await fs.open(tempPath, 'w');
+
+  try {
+    await handle.writeFile(content, 'utf-8');
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+
+  try {
+    await fs.rename(tempPath, filePath);
+  } catch (error) {
+    await fs.rm(tempPath, { force: true });
+    throw error;
+  }
+}
+
+/**
+ * 將目前可解析的檔案內容複製為 .bak (損毀的內容不覆蓋既有備份)
+ * @param {string} filePath - 目標檔案路徑
+ */
+async function backupCurrent(filePath) {
+  let current;
+  try {
+    current = await fs.readFile(filePath, 'utf-8');
+    JSON.parse(current);
+  } catch (error) {
+    if (error.code === 'ENOENT' || error instanceof SyntaxError) return;
+    throw error;
+  }
+
+  await writeAtomic(`${filePath}.bak`, current);
+}
+
+/**
+ * 寫入 JSON 檔案 (原子寫入,指定 backup 時保留 .bak 備份)
+ * @param {string} filePath - 檔案路徑
+ * @param {*} data - 要寫入的資料
+ * @param {Object} options - 設定
+ * @param {number|null} options.space - JSON 縮排 (null 代表不縮排,預設 2)
+ * @param {boolean} options.backup - 是否保留 .bak 備份 (預設 false;只有後端狀態檔案需要,
+ *   公開資料有版本控制,token.json 的備份會多留一份明文憑證)
+ */
+export async function writeJsonFile(filePath, data, options = {}) {
+  const { space = 2, backup = false } = options;
+
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+
+  if (backup) {
+    await backupCurrent(filePath);
+  }
+
+  await writeAtomic(filePath, space === null ? JSON.stringify(data) : JSON.stringify(data, null, space));
+}
+
+/**
+ * 讀取 JSON 檔案,解析失敗時從 .bak 還原
+ * 檔案不存在時拋出原本的 ENOENT 錯誤 (由呼叫端決定預設值)
+ * @param {string} filePath - 檔案路徑
+ * @returns {Promise<*>} 解析後的資料
+ */
+export async function readJsonFile(filePath) {
+  const content = await fs.readFile(filePath, 'utf-8');
+
+  try {
+    return JSON.parse(content);
+  } catch (error) {
+    const backupPath = `${filePath}.bak`;
+    let backup;
+
+    try {
+      backup = JSON.parse(await fs.readFile(backupPath, 'utf-8'));
+    } catch (backupError) {
+      throw new Error(`Failed to parse ${filePath} (${error.message}) and no usable backup at ${backupPath} (${backupError.message})`);
+    }
+
+    console.warn(`⚠️  ${filePath} is corrupted (${error.message}), restoring from ${backupPath}`);
+    await writeJsonFile(filePath, backup, { backup: false });
+    return backup;
+  }
+}
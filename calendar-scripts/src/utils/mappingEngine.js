@@ -0,0 +1,322 @@
+/**
+ * Mapping Engine - 依據 mapping config 將原始賽事資料轉換為標準欄位
+ *
+ * 設定檔位置: calendar-scripts/data/mapping-configs/{sportId}.json
+ *
+ * 支援的設定區塊：
+ * - eventsPath: 從 API 回應中取出賽事陣列的 JSONPath (支援 [*] 萬用字元)
+ * - fields: 標準欄位 → JSONPath 或欄位規格 { path, transform, type, default }
+ * - transformations: 具名轉換規則 (regex / template / map) 與 dateFormat
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const MAPPING_CONFIGS_DIR = path.join(__dirname, '../../data/mapping-configs');
+
+// 日期格式中支援的 token 及其對應的正規表示式
+const DATE_FORMAT_TOKENS = {
+  YYYY: '(\\d{4})',
+  MM: '(\\d{2})',
+  DD: '(\\d{2})',
+  HH: '(\\d{2})',
+  mm: '(\\d{2})',
+  ss: '(\\d{2})'
+};
+
+/**
+ * 載入欄位映射配置
+ * @param {string} sportId - 運動 ID
+ * @returns {Promise<Object>} 映射配置
+ */
+export async function loadMappingConfig(sportId) {
+  try {
+    const configPath = path.join(MAPPING_CONFIGS_DIR, `${sportId}.json`);
+    const data = await fs.readFile(configPath, 'utf-8');
+    return JSON.parse(data);
+  } catch (error) {
+    console.warn(`No mapping config found for ${sportId}, using default`);
+    return getDefaultMappingConfig();
+  }
+}
+
+/**
+ * 取得預設映射配置
+ * @returns {Object} 預設映射配置
+ */
+export function getDefaultMappingConfig() {
+  return {
+    version: '1.0',
+    fields: {
+      id: '$.id',
+      name: { path: '$.name', default: 'Unnamed Tournament' },
+      dateStart: { path: '$.start_date', type: 'date' },
+      dateEnd: { path: '$.end_date', type: 'date' },
+      location: {
+        city: '$.city',
+        country: '$.country',
+        venue: '$.venue'
+      },
+      category: '$.category',
+      url: '$.url'
+    }
+  };
+}
+
+/**
+ * 解析 JSONPath 表達式為路徑片段
+ * 支援: $.a.b、$.a[0]、$['a b']、$.a[*].b
+ * @param {string} expression - JSONPath 表達式
+ * @returns {Array<string|number>} 路徑片段 ('*' 代表萬用字元)
+ */
+function parseJsonPath(expression) {
+  if (typeof expression !== 'string' || !expression.startsWith('$')) {
+    throw new Error(`Invalid JSONPath expression: ${expression}`);
+  }
+
+  const segments = [];
+  const pattern = /\.([^.[\]]+)|\[(\d+)\]|\[\*\]|\[['"]([^'"]+)['"]\]/g;
+  const body = expression.slice(1);
+  let consumed = 0;
+  let match;
+
+  while ((match = pattern.exec(body)) !== null) {
+    if (match.index !== consumed) {
+      throw new Error(`Invalid JSONPath expression: ${expression}`);
+    }
+    consumed = pattern.lastIndex;
+
+    if (match[1] !== undefined) {
+      segments.push(match[1] === '*' ? '*' : match[1]);
+    } else if (match[2] !== undefined) {
+      segments.push(Number(match[2]));
+    } else if (match[3] !== undefined) {
+      segments.push(match[3]);
+    } else {
+      segments.push('*');
+    }
+  }
+
+  if (consumed !== body.length) {
+    throw new Error(`Invalid JSONPath expression: ${expression}`);
+  }
+
+  return segments;
+}
+
+/**
+ * 計算 JSONPath 表達式
+ * 不含萬用字元時回傳單一值 (找不到為 undefined)，含萬用字元時回傳攤平的陣列
+ * @param {Object} data - 來源資料
+ * @param {string} expression - JSONPath 表達式
+ * @returns {*} 取得的值
+ */
+export function evaluateJsonPath(data, expression) {
+  const segments = parseJsonPath(expression);
+  const hasWildcard = segments.includes('*');
+
+  let current = [data];
+  for (const segment of segments) {
+    const next = [];
+    for (const value of current) {
+      if (value === null || value === undefined || typeof value !== 'object') continue;
+
+      if (segment === '*') {
+        next.push(...(Array.isArray(value) ? value : Object.values(value)));
+      } else if (value[segment] !== undefined) {
+        next.push(value[segment]);
+      }
+    }
+    current = next;
+  }
+
+  return hasWildcard ? current : current[0];
+}
+
+/**
+ * 依 dateFormat 解析日期字串為 ISO 8601 (UTC)
+ * 格式不符時退回標準 Date 解析，無法解析則回傳 null
+ * @param {string} value - 日期字串
+ * @param {string} format - 日期格式 (例如: "YYYY-MM-DD HH:mm:ss")
+ * @returns {string|null} ISO 8601 日期字串
+ */
+export function parseDateWithFormat(value, format) {
+  if (value === null || value === undefined || value === '') return null;
+
+  if (format) {
+    const tokens = [];
+    const source = format
+      .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+      .replace(/YYYY|MM|DD|HH|mm|ss/g, token => {
+        tokens.push(token);
+        return DATE_FORMAT_TOKENS[token];
+      });
+    const match = String(value).match(new RegExp(`^${source}$`));
+
+    if (match) {
+      const parts = { YYYY: 0, MM: 1, DD: 1, HH: 0, mm: 0, ss: 0 };
+      tokens.forEach((token, index) => {
+        parts[token] = parseInt(match[index + 1], 10);
+      });
+
+      const date = new Date(Date.UTC(parts.YYYY, parts.MM - 1, parts.DD, parts.HH, parts.mm, parts.ss));
+      return isNaN(date.getTime()) ? null : date.toISOString();
+    }
+  }
+
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    console.warn(`Invalid date string: ${value}`);
+    return null;
+  }
+
+  return date.toISOString();
+}
+
+/**
+ * 執行具名轉換規則
+ * @param {Object} rawEvent - 原始賽事資料
+ * @param {string} name - 轉換規則名稱
+ * @param {Object} transformations - 設定檔中的 transformations 區塊
+ * @param {*} input - 輸入值 (未指定時使用規則的 from)
+ * @returns {string|null} 轉換結果
+ */
+function applyTransformation(rawEvent, name, transformations, input) {
+  const rule = transformations[name];
+  if (!rule || typeof rule !== 'object') {
+    throw new Error(`Unknown transformation: ${name}`);
+  }
+
+  switch (rule.method) {
+    case 'regex': {
+      const value = input !== undefined ? input : evaluateJsonPath(rawEvent, rule.from);
+      if (value === null || value === undefined || value === '') return null;
+
+      const match = String(value).match(new RegExp(rule.pattern, rule.flags || ''));
+      if (!match) return null;
+
+      const result = match[rule.group ?? 0];
+      return result !== undefined ? result.trim() : null;
+    }
+
+    case 'template': {
+      // {$.path} 代表 JSONPath，{name} 代表其他轉換規則的結果
+      let missing = false;
+      const result = rule.template.replace(/\{([^}]+)\}/g, (_, ref) => {
+        const value = ref.startsWith('$')
+          ? evaluateJsonPath(rawEvent, ref)
+          : applyTransformation(rawEvent, ref, transformations);
+
+        if (value === null || value === undefined || value === '') {
+          missing = true;
+          return '';
+        }
+        return String(value);
+      });
+      return missing ? null : result;
+    }
+
+    case 'map': {
+      // 以對照表轉換來源值 (不分大小寫),對照表沒有的值為 null
+      const value = input !== undefined ? input : evaluateJsonPath(rawEvent, rule.from);
+      if (value === null || value === undefined || value === '') return null;
+
+      const key = Object.keys(rule.values || {}).find(candidate => candidate.toLowerCase() === String(value).toLowerCase());
+      return key !== undefined ? rule.values[key] : null;
+    }
+
+    default:
+      throw new Error(`Unsupported transformation method "${rule.method}" in ${name}`);
+  }
+}
+
+/**
+ * 判斷欄位設定是否為欄位規格 (而非巢狀欄位群組)
+ * @param {Object} spec - 欄位設定
+ * @returns {boolean}
+ */
+function isFieldSpec(spec) {
+  return 'path' in spec || 'transform' in spec;
+}
+
+/**
+ * 依單一欄位設定取得標準欄位值
+ * @param {Object} rawEvent - 原始賽事資料
+ * @param {string|Object} spec - JSONPath 字串或欄位規格
+ * @param {Object} config - 映射配置
+ * @returns {*} 欄位值
+ */
+function resolveField(rawEvent, spec, config) {
+  const transformations = config.transformations || {};
+
+  if (typeof spec === 'string') {
+    const value = evaluateJsonPath(rawEvent, spec);
+    return value === null || value === undefined ? '' : value;
+  }
+
+  if (!isFieldSpec(spec)) {
+    // 巢狀欄位群組 (例如 location)
+    const group = {};
+    for (const [key, childSpec] of Object.entries(spec)) {
+      group[key] = resolveField(rawEvent, childSpec, config);
+    }
+    return group;
+  }
+
+  let value = spec.path ? evaluateJsonPath(rawEvent, spec.path) : undefined;
+
+  if (spec.transform) {
+    value = applyTransformation(rawEvent, spec.transform, transformations, value);
+  }
+
+  if (spec.type === 'date') {
+    value = parseDateWithFormat(value, spec.format || transformations.dateFormat);
+  }
+
+  if (value === null || value === undefined || value === '') {
+    if (spec.default !== undefined) return spec.default;
+    return spec.type === 'date' ? null : '';
+  }
+
+  return value;
+}
+
+/**
+ * 依映射配置將單筆原始賽事轉換為標準欄位
+ * @param {Object} rawEvent - 原始賽事資料
+ * @param {Object} config - 映射配置
+ * @returns {Object} 標準欄位 (不含 description / source 等呈現用欄位)
+ */
+export function standardizeEvent(rawEvent, config) {
+  const standardized = {};
+
+  for (const [field, spec] of Object.entries(config.fields || {})) {
+    standardized[field] = resolveField(rawEvent, spec, config);
+  }
+
+  return standardized;
+}
+
+/**
+ * 依映射配置從 API 回應中取出賽事陣列
+ * 未設定 eventsPath 時，接受純陣列或 { tournaments: [...] }
+ * @param {Object|Array} rawData - 原始 API 回應
+ * @param {Object} config - 映射配置
+ * @returns {Array} 原始賽事陣列
+ */
+export function extractRawEvents(rawData, config) {
+  if (!rawData) return [];
+
+  if (config.eventsPath) {
+    const events = evaluateJsonPath(rawData, config.eventsPath);
+    if (Array.isArray(events)) return events.filter(event => event && typeof event === 'object');
+    return events && typeof events === 'object' ? [events] : [];
+  }
+
+  if (Array.isArray(rawData)) return rawData;
+  if (Array.isArray(rawData.tournaments)) return rawData.tournaments;
+
+  return [];
+}
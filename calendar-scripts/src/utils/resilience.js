@@ -0,0 +1,229 @@
+/**
+ * Resilience - 對外請求的重試、指數退避與斷路器
+ *
+ * - withRetry: 只重試暫時性錯誤 (網路錯誤、逾時、408/425/429/5xx)，其餘錯誤直接拋出
+ * - isRateLimitError: Google API 的速率限制 (429 或 reason 為 rateLimitExceeded 的 403)
+ * - withCircuitBreaker: 連續多次執行失敗的來源會被暫時略過，冷卻時間過後再嘗試一次
+ *
+ * 重試用盡或斷路器開啟時拋出的錯誤會帶有 sourceUnavailable = true，
+ * 呼叫端可據此改用上一次成功的本地資料
+ */
+
+import { readJsonFile, writeJsonFile } from './jsonFile.js';
+import { getStateDir } from './dataPaths.js';
+
+const CIRCUIT_STATE_FILE_NAME = 'circuit-state.json';
+
+const DEFAULT_RETRY_OPTIONS = {
+  retries: 3,
+  baseDelay: 1000,
+  maxDelay: 30000,
+  factor: 2
+};
+
+const DEFAULT_CIRCUIT_OPTIONS = {
+  failureThreshold: 3,
+  cooldownMs: 6 * 60 * 60 * 1000
+};
+
+// 可重試的網路錯誤代碼
+const RETRYABLE_ERROR_CODES = new Set([
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ECONNABORTED',
+  'ETIMEDOUT',
+  'EAI_AGAIN',
+  'EPIPE',
+  'UND_ERR_SOCKET',
+  'UND_ERR_CONNECT_TIMEOUT'
+]);
+
+// 可重試的 HTTP 狀態碼
+const RETRYABLE_STATUS_CODES = new Set([408, 425, 429, 500, 502, 503, 504]);
+
+// Google API 以 403 回應速率限制時的 reason
+const RATE_LIMIT_REASONS = new Set(['rateLimitExceeded', 'userRateLimitExceeded']);
+
+/**
+ * 判斷錯誤是否為暫時性錯誤 (值得重試)
+ * @param {Error} error - 錯誤物件
+ * @returns {boolean} 是否可重試
+ */
+export function isRetryableError(error) {
+  if (!error) return false;
+
+  // 明確標記的錯誤 (例如 BWF 直接呼叫被拒絕) 不重試
+  if (error.refused) return false;
+
+  const status = error.status ?? error.response?.status ?? error.code;
+  if (typeof status === 'number') {
+    return RETRYABLE_STATUS_CODES.has(status) || status >= 500;
+  }
+
+  if (typeof error.code === 'string' && RETRYABLE_ERROR_CODES.has(error.code)) {
+    return true;
+  }
+
+  // AbortSignal.timeout 與 Puppeteer 的逾時錯誤
+  if (error.name === 'TimeoutError' || error.name === 'AbortError') {
+    return true;
+  }
+
+  // node-fetch 的網路錯誤
+  if (error.name === 'FetchError' && error.type === 'system') {
+    return true;
+  }
+
+  return false;
+}
+
+/**
+ * 判斷錯誤是否為速率限制 (等待後重試即可成功)
+ * @param {Error} error - 錯誤物件 (googleapis 的錯誤把 reason 放在 errors[].reason)
+ * @returns {boolean} 是否為速率限制
+ */
+export function isRateLimitError(error) {
+  if (!error) return false;
+
+  const status = error.status ?? error.response?.status ?? error.code;
+  if (status === 429) return true;
+  if (status !== 403) return false;
+
+  const reasons = (error.errors || error.response?.data?.error?.errors || []).map(entry => entry.reason);
+  return reasons.some(reason => RATE_LIMIT_REASONS.has(reason));
+}
+
+/**
+ * 計算第 attempt 次重試前的等待時間 (指數退避 + 隨機抖動,避免同時重試)
+ * @param {number} attempt - 已失敗的次數 (從 1 開始)
+ * @param {Object} options - 重試設定 { baseDelay, maxDelay, factor }
+ * @returns {number} 等待毫秒數
+ */
+export function getBackoffDelay(attempt, options = {}) {
+  const { baseDelay, maxDelay, factor } = { ...DEFAULT_RETRY_OPTIONS, ...options };
+  const delay = Math.min(maxDelay, baseDelay * factor ** (attempt - 1));
+  return Math.round(delay / 2 + Math.random() * delay / 2);
+}
+
+/**
+ * 延遲函數
+ */
+export function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * 執行非同步函數，暫時性錯誤時以指數退避重試
+ * @param {Function} fn - 非同步函數 (會收到目前的嘗試次數,從 1 開始)
+ * @param {Object} options - 重試設定
+ * @param {number} options.retries - 最多重試次數 (不含第一次)
+ * @param {number} options.baseDelay - 第一次重試前的等待毫秒數
+ * @param {number} options.maxDelay - 等待時間上限
+ * @param {number} options.factor - 每次重試的等待倍數
+ * @param {Function} options.isRetryable - 自訂可重試判斷
+ * @param {string} options.label - 日誌用名稱
+ * @returns {Promise<*>} 函數回傳值
+ */
+export async function withRetry(fn, options = {}) {
+  const { retries } = { ...DEFAULT_RETRY_OPTIONS, ...options };
+  const isRetryable = options.isRetryable || isRetryableError;
+  const label = options.label || 'request';
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (!isRetryable(error)) {
+        throw error;
+      }
+
+      if (attempt > retries) {
+        error.sourceUnavailable = true;
+        throw error;
+      }
+
+      const jittered = getBackoffDelay(attempt, options);
+      console.warn(`⚠️  ${label} failed (attempt ${attempt}/${retries + 1}): ${error.message}, retrying in ${jittered}ms...`);
+      await sleep(jittered);
+    }
+  }
+}
+
+/**
+ * 載入斷路器狀態
+ * @returns {Promise<Object>} { [sourceKey]: { failures, openedAt, lastError, lastFailure } }
+ */
+async function loadCircuitState() {
+  try {
+    return await readJsonFile(getStateDir(CIRCUIT_STATE_FILE_NAME));
+  } catch (error) {
+    if (error.code === 'ENOENT') return {};
+    console.warn(`Unable to read circuit state, starting fresh: ${error.message}`);
+    return {};
+  }
+}
+
+/**
+ * 儲存斷路器狀態
+ * @param {Object} state - 斷路器狀態
+ */
+async function saveCircuitState(state) {
+  await writeJsonFile(getStateDir(CIRCUIT_STATE_FILE_NAME), state, { backup: true });
+}
+
+/**
+ * 以斷路器保護來源的取得
+ * 同一來源連續 failureThreshold 次執行失敗後開啟斷路器，冷卻時間內直接略過；
+ * 冷卻時間過後允許嘗試一次 (half-open)，成功即重置
+ * @param {string} sourceKey - 來源名稱 (例如: 'source:bwf')
+ * @param {Function} fn - 非同步函數
+ * @param {Object} options - 斷路器設定 { failureThreshold, cooldownMs }
+ * @returns {Promise<*>} 函數回傳值
+ */
+export async function withCircuitBreaker(sourceKey, fn, options = {}) {
+  const { failureThreshold, cooldownMs } = { ...DEFAULT_CIRCUIT_OPTIONS, ...options };
+  const state = await loadCircuitState();
+  const circuit = state[sourceKey];
+
+  if (circuit?.openedAt) {
+    const elapsed = Date.now() - new Date(circuit.openedAt).getTime();
+
+    if (elapsed < cooldownMs) {
+      const error = new Error(
+        `Circuit open for ${sourceKey} after ${circuit.failures} consecutive failures (last error: ${circuit.lastError}), skipping until cooldown ends`
+      );
+      error.code = 'CIRCUIT_OPEN';
+      error.sourceUnavailable = true;
+      throw error;
+    }
+
+    console.log(`Circuit half-open for ${sourceKey}, trying once...`);
+  }
+
+  try {
+    const result = await fn();
+
+    if (circuit) {
+      delete state[sourceKey];
+      await saveCircuitState(state);
+    }
+
+    return result;
+  } catch (error) {
+    const failures = (circuit?.failures || 0) + 1;
+
+    state[sourceKey] = {
+      failures,
+      lastFailure: new Date().toISOString(),
+      lastError: error.message,
+      openedAt: failures >= failureThreshold ? new Date().toISOString() : null
+    };
+
+    if (state[sourceKey].openedAt) {
+      console.warn(`🔌 Circuit opened for ${sourceKey} after ${failures} consecutive failures`);
+    }
+
+    await saveCircuitState(state);
+    throw error;
+  }
+}
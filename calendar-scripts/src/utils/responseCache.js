@@ -0,0 +1,172 @@
+/**
+ * Response Cache - 記錄資料來源回應的內容 hash 與 ETag / Last-Modified
+ *
+ * 檔案位置 (calendar-scripts/data/response-cache/):
+ * - index.json: { responses: { [key]: { hash, etag, lastModified, updatedAt } }, sources: { [sportId]: { hash, mappingHash, renderVersion, updatedAt } } }
+ * - {key}.json: 回應內容 (收到 304 Not Modified 時使用)
+ *
+ * responses 以請求為單位 (key 與 fixture 名稱相同，例如 'bwf/season-2025')，用於條件式請求；
+ * sources 以運動為單位，記錄上一次成功同步時的整體內容 hash，內容相同時可略過標準化與同步
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import { readJsonFile, writeJsonFile } from './jsonFile.js';
+import { RENDER_VERSION } from './eventRenderer.js';
+import { getStateDir } from './dataPaths.js';
+
+const CACHE_DIR_NAME = 'response-cache';
+const CACHE_INDEX_FILE_NAME = 'index.json';
+
+/**
+ * 計算資料的內容 hash
+ * @param {*} data - 任意可序列化的資料
+ * @returns {string} MD5 hash
+ */
+export function hashPayload(data) {
+  return crypto
+    .createHash('md5')
+    .update(JSON.stringify(data))
+    .digest('hex');
+}
+
+/**
+ * 載入快取索引
+ * @returns {Promise<Object>} { responses, sources }
+ */
+async function loadCacheIndex() {
+  try {
+    return { responses: {}, sources: {}, ...await readJsonFile(getStateDir(CACHE_DIR_NAME, CACHE_INDEX_FILE_NAME)) };
+  } catch (error) {
+    if (error.code === 'ENOENT') return { responses: {}, sources: {} };
+    console.warn(`Unable to read response cache, starting fresh: ${error.message}`);
+    return { responses: {}, sources: {} };
+  }
+}
+
+/**
+ * 儲存快取索引
+ * @param {Object} index - 快取索引
+ */
+async function saveCacheIndex(index) {
+  await writeJsonFile(getStateDir(CACHE_DIR_NAME, CACHE_INDEX_FILE_NAME), index, { backup: true });
+}
+
+/**
+ * 取得回應內容的快取檔案路徑
+ * @param {string} key - 快取名稱
+ * @returns {string} 檔案路徑
+ */
+function getBodyPath(key) {
+  return getStateDir(CACHE_DIR_NAME, `${key}.json`);
+}
+
+/**
+ * 取得條件式請求的 headers (只有在快取中保留了回應內容時才會送出)
+ * @param {string} key - 快取名稱
+ * @returns {Promise<Object>} If-None-Match / If-Modified-Since headers
+ */
+export async function getConditionalHeaders(key) {
+  const { responses } = await loadCacheIndex();
+  const entry = responses[key];
+  if (!entry || (!entry.etag && !entry.lastModified)) return {};
+
+  try {
+    await fs.access(getBodyPath(key));
+  } catch {
+    return {};
+  }
+
+  const headers = {};
+  if (entry.etag) headers['If-None-Match'] = entry.etag;
+  if (entry.lastModified) headers['If-Modified-Since'] = entry.lastModified;
+  return headers;
+}
+
+/**
+ * 讀取快取的回應內容 (收到 304 時使用)
+ * @param {string} key - 快取名稱
+ * @returns {Promise<*>} 回應內容
+ */
+export async function readCachedResponse(key) {
+  try {
+    const data = await fs.readFile(getBodyPath(key), 'utf-8');
+    console.log(`🗄️  ${key} not modified, using cached response`);
+    return JSON.parse(data);
+  } catch (error) {
+    throw new Error(`Received 304 Not Modified for ${key} but no cached response is available: ${error.message}`);
+  }
+}
+
+/**
+ * 記錄回應內容與 ETag / Last-Modified
+ * @param {string} key - 快取名稱
+ * @param {*} data - 回應內容
+ * @param {Object} response - fetch 的 Response (用於讀取 ETag / Last-Modified)
+ * @returns {Promise<boolean>} 內容是否與上次不同
+ */
+export async function storeResponse(key, data, response) {
+  const index = await loadCacheIndex();
+  const previous = index.responses[key];
+  const hash = hashPayload(data);
+  const changed = previous?.hash !== hash;
+
+  index.responses[key] = {
+    hash,
+    etag: response?.headers?.get('etag') || null,
+    lastModified: response?.headers?.get('last-modified') || null,
+    updatedAt: changed ? new Date().toISOString() : previous.updatedAt
+  };
+
+  await writeJsonFile(getBodyPath(key), data, { space: null, backup: false });
+  await saveCacheIndex(index);
+
+  return changed;
+}
+
+/**
+ * 計算運動的來源內容 hash (不含取得方式等不影響內容的欄位)
+ * @param {Object} rawData - fetchTournamentData 的回傳值
+ * @param {Object} mappingConfig - 映射配置 (配置變更時也需重新處理)
+ * @returns {{ hash: string, mappingHash: string, renderVersion: number }} 內容 hash (事件格式版本變更時也需重新同步)
+ */
+export function getSourceDigest(rawData, mappingConfig) {
+  const payload = rawData && Array.isArray(rawData.seasons)
+    ? rawData.seasons.map(season => ({ year: season.year, data: season.data }))
+    : rawData;
+
+  return {
+    hash: hashPayload(payload),
+    mappingHash: hashPayload(mappingConfig || null),
+    renderVersion: RENDER_VERSION
+  };
+}
+
+/**
+ * 判斷來源內容是否與上一次成功同步時相同
+ * @param {string} sportId - 運動 ID
+ * @param {Object} digest - getSourceDigest 的結果
+ * @returns {Promise<boolean>} 是否未變更
+ */
+export async function isSourceUnchanged(sportId, digest) {
+  const { sources } = await loadCacheIndex();
+  const previous = sources[sportId];
+  return Boolean(previous) &&
+    previous.hash === digest.hash &&
+    previous.mappingHash === digest.mappingHash &&
+    previous.renderVersion === digest.renderVersion;
+}
+
+/**
+ * 記錄成功同步時的來源內容 hash
+ * @param {string} sportId - 運動 ID
+ * @param {Object} digest - getSourceDigest 的結果
+ */
+export async function markSourceSynced(sportId, digest) {
+  const index = await loadCacheIndex();
+  index.sources[sportId] = {
+    ...digest,
+    updatedAt: new Date().toISOString()
+  };
+  await saveCacheIndex(index);
+}
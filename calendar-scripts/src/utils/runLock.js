@@ -0,0 +1,129 @@
+/**
+ * Run Lock - 避免多個執行 (排程與手動觸發) 同時寫入狀態檔案
+ *
+ * 鎖定檔: calendar-scripts/data/run.lock ({ pid, hostname, startedAt })
+ * 以下情況視為過期並自動釋放:
+ * - 同一台機器上持有鎖的程序已不存在
+ * - 鎖定時間超過 RUN_LOCK_STALE_MS (預設 2 小時)
+ * - 鎖定檔內容無法解析
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { getStateDir } from './dataPaths.js';
+
+const LOCK_FILE_NAME = 'run.lock';
+const DEFAULT_STALE_MS = 2 * 60 * 60 * 1000;
+
+/**
+ * 檢查程序是否仍在執行
+ * @param {number} pid - 程序 ID
+ * @returns {boolean} 是否仍在執行
+ */
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    // EPERM 代表程序存在但無權限發送訊號
+    return error.code === 'EPERM';
+  }
+}
+
+/**
+ * 判斷既有的鎖是否過期
+ * @param {Object|null} lock - 鎖定檔內容
+ * @returns {string|null} 過期原因 (未過期時為 null)
+ */
+function getStaleReason(lock) {
+  if (!lock || typeof lock.pid !== 'number') {
+    return 'lock file is unreadable';
+  }
+
+  if (lock.hostname === os.hostname() && !isProcessAlive(lock.pid)) {
+    return `process ${lock.pid} is no longer running`;
+  }
+
+  const staleMs = parseInt(process.env.RUN_LOCK_STALE_MS) || DEFAULT_STALE_MS;
+  const age = Date.now() - new Date(lock.startedAt).getTime();
+  if (!(age < staleMs)) {
+    return `lock is older than ${staleMs}ms`;
+  }
+
+  return null;
+}
+
+/**
+ * 取得鎖定檔路徑
+ * @returns {string} 檔案路徑
+ */
+function getLockFile() {
+  return getStateDir(LOCK_FILE_NAME);
+}
+
+/**
+ * 讀取鎖定檔
+ * @returns {Promise<Object|null>} 鎖定檔內容 (無法解析時為 null)
+ */
+async function readLock() {
+  try {
+    return JSON.parse(await fs.readFile(getLockFile(), 'utf-8'));
+  } catch (error) {
+    if (error.code === 'ENOENT' || error instanceof SyntaxError) return null;
+    throw error;
+  }
+}
+
+/**
+ * 取得執行鎖 (已被其他執行持有時拋出 code 為 RUN_LOCKED 的錯誤)
+ * @returns {Promise<Object>} 鎖定資訊 { pid, hostname, startedAt }
+ */
+export async function acquireRunLock() {
+  const lock = {
+    pid: process.pid,
+    hostname: os.hostname(),
+    startedAt: new Date().toISOString()
+  };
+
+  await fs.mkdir(path.dirname(getLockFile()), { recursive: true });
+
+  for (let attempt = 0; attempt < 2; attempt++) {
+    try {
+      // wx: 檔案已存在時失敗,確保只有一個執行能建立鎖
+      await fs.writeFile(getLockFile(), JSON.stringify(lock, null, 2), { encoding: 'utf-8', flag: 'wx' });
+      return lock;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+    }
+
+    const existing = await readLock();
+    const staleReason = getStaleReason(existing);
+
+    if (!staleReason) {
+      const error = new Error(
+        `Another run is in progress (pid ${existing.pid} on ${existing.hostname} since ${existing.startedAt}), lock file: ${getLockFile()}`
+      );
+      error.code = 'RUN_LOCKED';
+      throw error;
+    }
+
+    console.warn(`🔓 Releasing stale run lock: ${staleReason}`);
+    await fs.rm(getLockFile(), { force: true });
+  }
+
+  const error = new Error(`Unable to acquire run lock ${getLockFile()}`);
+  error.code = 'RUN_LOCKED';
+  throw error;
+}
+
+/**
+ * 釋放執行鎖 (只釋放目前程序持有的鎖)
+ */
+export async function releaseRunLock() {
+  const existing = await readLock();
+
+  if (existing && existing.pid === process.pid && existing.hostname === os.hostname()) {
+    await fs.rm(getLockFile(), { force: true });
+  }
+}
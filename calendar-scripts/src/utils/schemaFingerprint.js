@@ -0,0 +1,184 @@
+/**
+ * Schema Fingerprint - 記錄原始賽事的欄位與型別，偵測上游 API 的結構變動
+ *
+ * 指紋格式: { hash, fields: { 'status.code': ['string'], 'tags[]': ['string'], ... } }
+ * - 巢狀物件以 "." 連接，陣列元素以 "[]" 表示
+ * - 同一欄位在不同賽事中的型別會合併 (例如 ['null', 'string'])
+ */
+
+import crypto from 'crypto';
+
+// 巢狀物件的最大展開深度
+const MAX_DEPTH = 4;
+
+/**
+ * 取得值的型別名稱
+ * @param {*} value - 任意值
+ * @returns {string} 型別名稱 (string / number / boolean / null / array / object)
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+/**
+ * 遞迴收集欄位路徑與型別
+ * @param {*} value - 目前的值
+ * @param {string} prefix - 目前的欄位路徑
+ * @param {Map<string, Set<string>>} fields - 收集結果
+ * @param {number} depth - 目前深度
+ */
+function collectFields(value, prefix, fields, depth) {
+  if (prefix) {
+    if (!fields.has(prefix)) fields.set(prefix, new Set());
+    fields.get(prefix).add(typeOf(value));
+  }
+
+  if (depth >= MAX_DEPTH || value === null || typeof value !== 'object') return;
+
+  if (Array.isArray(value)) {
+    for (const item of value) {
+      collectFields(item, `${prefix}[]`, fields, depth + 1);
+    }
+    return;
+  }
+
+  for (const [key, child] of Object.entries(value)) {
+    collectFields(child, prefix ? `${prefix}.${key}` : key, fields, depth + 1);
+  }
+}
+
+/**
+ * 將欄位 Map 轉為排序後的一般物件並計算 hash
+ * @param {Map<string, Set<string>>} fields - 欄位與型別
+ * @returns {Object} 指紋 { hash, fields }
+ */
+function toFingerprint(fields) {
+  const sorted = {};
+  for (const key of [...fields.keys()].sort()) {
+    sorted[key] = [...fields.get(key)].sort();
+  }
+
+  const hash = crypto
+    .createHash('md5')
+    .update(JSON.stringify(sorted))
+    .digest('hex')
+    .substring(0, 16);
+
+  return { hash, fields: sorted };
+}
+
+/**
+ * 計算一批原始賽事的結構指紋
+ * @param {Array} rawEvents - 原始賽事陣列
+ * @returns {Object} 指紋 { hash, fields }
+ */
+export function fingerprintRawEvents(rawEvents) {
+  const fields = new Map();
+
+  for (const rawEvent of rawEvents) {
+    collectFields(rawEvent, '', fields, 0);
+  }
+
+  return toFingerprint(fields);
+}
+
+/**
+ * 合併多個指紋 (例如多個年份檔案)
+ * @param {Array<Object>} fingerprints - 指紋陣列
+ * @returns {Object|null} 合併後的指紋，沒有任何指紋時為 null
+ */
+export function mergeFingerprints(fingerprints) {
+  const available = fingerprints.filter(Boolean);
+  if (available.length === 0) return null;
+
+  const fields = new Map();
+  for (const fingerprint of available) {
+    for (const [key, types] of Object.entries(fingerprint.fields || {})) {
+      if (!fields.has(key)) fields.set(key, new Set());
+      types.forEach(type => fields.get(key).add(type));
+    }
+  }
+
+  return toFingerprint(fields);
+}
+
+/**
+ * 比對兩個指紋
+ * @param {Object} previous - 先前的指紋
+ * @param {Object} current - 本次的指紋
+ * @returns {{ added: Array, removed: Array, retyped: Array, changed: boolean }} 差異
+ */
+export function compareFingerprints(previous, current) {
+  const before = previous?.fields || {};
+  const after = current?.fields || {};
+
+  const added = Object.keys(after)
+    .filter(key => !(key in before))
+    .map(field => ({ field, types: after[field] }));
+
+  const removed = Object.keys(before)
+    .filter(key => !(key in after))
+    .map(field => ({ field, types: before[field] }));
+
+  const retyped = Object.keys(after)
+    .filter(key => key in before && before[key].join('|') !== after[key].join('|'))
+    .map(field => ({ field, from: before[field], to: after[field] }));
+
+  return {
+    added,
+    removed,
+    retyped,
+    changed: added.length > 0 || removed.length > 0 || retyped.length > 0
+  };
+}
+
+/**
+ * 將賽事層級的 JSONPath 轉為指紋欄位路徑
+ * 例如: '$.status.code' → 'status.code'、'$.tags[0]' → 'tags[]'
+ * @param {string} expression - JSONPath 表達式
+ * @returns {string} 指紋欄位路徑
+ */
+function jsonPathToField(expression) {
+  return expression
+    .replace(/^\$\.?/, '')
+    .replace(/\[(\d+|\*)\]/g, '[]')
+    .replace(/\[['"]([^'"]+)['"]\]/g, '.$1')
+    .replace(/^\./, '');
+}
+
+/**
+ * 列出映射配置依賴的原始欄位
+ * 來源包含 fields 的 JSONPath、transformations 的 from 與 template 引用
+ * @param {Object} mappingConfig - 映射配置
+ * @returns {Array<string>} 指紋欄位路徑陣列
+ */
+export function getMappingDependencies(mappingConfig) {
+  const expressions = new Set();
+
+  const visitField = spec => {
+    if (typeof spec === 'string') {
+      expressions.add(spec);
+    } else if (spec && typeof spec === 'object') {
+      if (typeof spec.path === 'string') {
+        expressions.add(spec.path);
+      } else if (!('transform' in spec)) {
+        Object.values(spec).forEach(visitField);
+      }
+    }
+  };
+  Object.values(mappingConfig.fields || {}).forEach(visitField);
+
+  for (const rule of Object.values(mappingConfig.transformations || {})) {
+    if (!rule || typeof rule !== 'object') continue;
+    if (typeof rule.from === 'string') expressions.add(rule.from);
+    if (typeof rule.template === 'string') {
+      for (const [, ref] of rule.template.matchAll(/\{(\$[^}]+)\}/g)) {
+        expressions.add(ref);
+      }
+    }
+  }
+
+  return [...expressions].map(jsonPathToField).filter(Boolean).sort();
+}
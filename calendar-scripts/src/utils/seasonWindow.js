@@ -0,0 +1,25 @@
+// 賽季視窗預設值: 以今年為基準,往前/往後各取幾個年份 (今年 + 明年)
+const DEFAULT_SEASON_WINDOW = {
+  past: 0,
+  future: 1
+};
+
+/**
+ * 取得要爬取的賽季年份
+ * @param {Date} now - 基準時間 (預設為現在)
+ * @param {Object} window - 賽季視窗 { past, future } (可選,預設使用環境變數)
+ * @returns {number[]} 年份陣列 (由舊到新)
+ */
+export function getSeasonYears(now = new Date(), window = {}) {
+  // 在呼叫時才讀取環境變數,確保 dotenv 已載入
+  const past = window.past ?? parseInt(process.env.SEASON_WINDOW_PAST ?? DEFAULT_SEASON_WINDOW.past, 10);
+  const future = window.future ?? parseInt(process.env.SEASON_WINDOW_FUTURE ?? DEFAULT_SEASON_WINDOW.future, 10);
+  const currentYear = now.getUTCFullYear();
+  const years = [];
+
+  for (let offset = -past; offset <= future; offset++) {
+    years.push(currentYear + offset);
+  }
+
+  return years;
+}
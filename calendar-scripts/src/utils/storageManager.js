@@ -1,33 +1,127 @@
 import fs from 'fs/promises';
 import path from 'path';
-import { fileURLToPath } from 'url';
-
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const PUBLIC_DATA_DIR = path.join(__dirname, '../../../public/data');
-const MAPPING_CONFIGS_DIR = path.join(__dirname, '../../data/mapping-configs');
+import { loadMappingConfig, standardizeEvent, extractRawEvents } from './mappingEngine.js';
+import { validateEvents } from './eventValidator.js';
+import { buildFallbackId, resolveDuplicateIds } from './eventId.js';
+import { appendChangelog } from './changelog.js';
+import { writeJsonFile } from './jsonFile.js';
+import { getStorage } from '../storage/storageFactory.js';
+import { getPublicDataDir } from './dataPaths.js';
+import {
+  fingerprintRawEvents,
+  mergeFingerprints,
+  compareFingerprints,
+  getMappingDependencies
+} from './schemaFingerprint.js';
+
+const VALIDATION_REPORT_FILE = 'validation-report.json';
+const SCHEMA_REPORT_FILE = 'schema-report.json';
+// 預設連續缺席 3 次後才從年份檔案移除
+const DEFAULT_PURGE_AFTER_MISSING_RUNS = 3;
 
 /**
  * 儲存原始賽事資料到本地檔案
  * @param {string} sportId - 運動 ID
  * @param {Object} rawData - 原始 API 資料
+ * @param {Object} options - 設定 (可選)
+ * @param {boolean} options.dryRun - 只在記憶體中合併,不寫入年份檔案、報告與 changelog (也不累計缺席次數)
+ * @returns {Promise<Object>} 合併後按年份分組的賽事 { '2025': [...] } (dry-run 時交給 loadLocalTournamentData)
  */
-export async function saveRawTournamentData(sportId, rawData) {
+export async function saveRawTournamentData(sportId, rawData, options = {}) {
+  const persist = !options.dryRun;
+
   try {
-    console.log(`Saving raw tournament data for ${sportId}...`);
+    console.log(`${persist ? 'Saving' : 'Merging (dry run, not saving)'} raw tournament data for ${sportId}...`);
 
     // 確保目錄存在
-    const sportDir = path.join(PUBLIC_DATA_DIR, sportId);
-    await fs.mkdir(sportDir, { recursive: true });
-
-    // 從原始資料中提取年份並分組
-    const eventsByYear = await groupEventsByYear(rawData, sportId);
+    const sportDir = getPublicDataDir(sportId);
+    if (persist) {
+      await fs.mkdir(sportDir, { recursive: true });
+    }
 
     // 載入映射配置
     const mappingConfig = await loadMappingConfig(sportId);
 
-    // 為每個年份儲存一個檔案
+    // 依映射配置取出原始賽事並標準化 (多賽季資料會合併)
+    const seasonRawEvents = extractSeasonRawEvents(rawData, mappingConfig);
+    const rawEvents = seasonRawEvents.flat();
+    const standardizedEvents = mergeSeasonEvents(
+      seasonRawEvents.map(events => standardizeRawEvents(events, sportId, mappingConfig))
+    );
+
+    // 計算結構指紋並與先前的年份檔案比對 (映射依賴的欄位消失時中止)
+    const schema = fingerprintRawEvents(rawEvents);
+    await checkSchemaDrift(sportId, sportDir, schema, standardizedEvents, mappingConfig, persist);
+
+    // 依 validation 規則驗證,並將報告寫在年份檔案旁
+    const { accepted: validEvents, report } = validateEvents(sportId, standardizedEvents, mappingConfig);
+
+    // 重複 ID 以穩定欄位 hash 區分,避免同步時互相覆蓋
+    const { events: accepted, duplicates } = resolveDuplicateIds(validEvents, mappingConfig);
+    report.duplicates = duplicates;
+
+    const reportPath = path.join(sportDir, VALIDATION_REPORT_FILE);
+    if (persist) {
+      await saveWithRetry(reportPath, report);
+    }
+
+    if (report.rejectedEvents > 0) {
+      console.warn(`⚠️  Rejected ${report.rejectedEvents}/${report.totalEvents} events for ${sportId}, see ${reportPath}`);
+    }
+
+    if (duplicates.length > 0) {
+      console.warn(`⚠️  Found ${duplicates.length} duplicate event IDs for ${sportId}: ${duplicates.map(entry => `${entry.id} (x${entry.count})`).join(', ')}, see ${reportPath}`);
+    }
+
+    // 剔除比例過高時中止,保留上一次的年份檔案
+    if (report.thresholdExceeded) {
+      throw new Error(
+        `Validation rejection ratio ${report.rejectionRatio} exceeds limit ${report.maxRejectionRatio} for ${sportId}, see ${reportPath}`
+      );
+    }
+
+    // 與既有年份檔案合併: 本次涵蓋年份中消失的賽事先標記 missingSince 保留,連續缺席多次才移除
+    const acceptedByYear = groupEventsByYear(accepted);
+    const coveredYears = getCoveredYears(rawData, acceptedByYear);
+    const touchedYears = [...new Set([...coveredYears, ...Object.keys(acceptedByYear).map(year => parseInt(year))])];
+    const previous = await loadYearFileEvents(sportId, touchedYears);
+    const { events: storedEvents, missing, purged } = mergeMissingEvents(
+      previous.events,
+      accepted,
+      coveredYears,
+      getPurgeAfterMissingRuns(mappingConfig)
+    );
+
+    if (missing.length > 0) {
+      console.warn(`⚠️  ${missing.length} events missing from ${sportId} source, kept until purge: ${missing.map(event => `${event.id} (${event.missingRuns}x)`).join(', ')}`);
+    }
+    if (purged.length > 0) {
+      console.warn(`🗑️  Purged ${purged.length} events missing from ${sportId} source: ${purged.map(event => event.id).join(', ')}`);
+    }
+
+    // 按年份分組 (既有年份檔案的賽事全部移除時寫入空檔案,避免保留過期資料)
+    const eventsByYear = groupEventsByYear(storedEvents);
+    for (const year of previous.years) {
+      if (!eventsByYear[year]) eventsByYear[year] = [];
+    }
+
+    // dry-run: 合併結果只用於同步計畫,下一次正式執行會從相同的年份檔案重新合併
+    if (!persist) {
+      return eventsByYear;
+    }
+
+    // 將新增、移除與欄位變更附加到 changelog.json
+    await appendChangelog(sportId, sportDir, previous.events, storedEvents);
+
+    // 為每個年份儲存一份資料 (寫入目前的儲存後端)
+    const storage = getStorage();
     for (const [year, events] of Object.entries(eventsByYear)) {
-      const filePath = path.join(sportDir, `${year}.json`);
+      // 內容未變更時不重寫,避免只有時間戳記不同的變更
+      const previousFile = await readYearFile(sportId, year);
+      if (isYearFileUnchanged(previousFile, events, mappingConfig)) {
+        console.log(`⏭️  ${sportId} ${year} unchanged, not rewriting`);
+        continue;
+      }
 
       // 建立資料檔案結構
       const dataFile = {
@@ -35,38 +129,24 @@ export async function saveRawTournamentData(sportId, rawData) {
           sportId,
           year: parseInt(year),
           source: getSourceName(sportId),
-          apiVersion: getApiVersion(sportId),
+          apiVersion: mappingConfig.apiVersion || getApiVersion(sportId),
+          schema,
+          fetchStrategy: rawData?.strategy || null,
           fetchedAt: new Date().toISOString(),
           totalEvents: events.length,
+          missingEvents: events.filter(event => event.missingSince).length,
           lastUpdated: new Date().toISOString()
         },
         mappingConfig,
-        events: events.map(event => ({
-          // 基本欄位 (從 rawData 提取)
-          id: extractId(event, sportId),
-          name: event.name || 'Unnamed Tournament',
-          dateStart: event.start_date ? parseDate(event.start_date) : null,
-          dateEnd: event.end_date ? parseDate(event.end_date) : null,
-          location: {
-            city: extractCity(event.location || ''),
-            country: event.country || '',
-            venue: event.location || ''
-          },
-          category: event.category || '',
-          level: extractLevel(event.category || ''),
-          prize: event.prize_money || '',
-          url: event.url || '',
-
-          // 保留完整原始資料
-          rawData: event
-        }))
+        events
       };
 
-      await saveWithRetry(filePath, dataFile);
-      console.log(`✅ Saved ${events.length} events to ${filePath}`);
+      await withWriteRetry(() => storage.writeYear(sportId, parseInt(year), dataFile));
+      console.log(`✅ Saved ${events.length} events for ${sportId} ${year} (${storage.type} storage)`);
     }
 
     console.log(`Successfully saved tournament data for ${sportId}`);
+    return eventsByYear;
   } catch (error) {
     console.error(`Error saving tournament data for ${sportId}:`, error);
     throw error;
@@ -74,226 +154,343 @@ export async function saveRawTournamentData(sportId, rawData) {
 }
 
 /**
- * 從原始資料中按年份分組賽事
- * @param {Object} rawData - 原始 API 資料
+ * 比對本次與先前年份檔案的結構指紋,並將差異寫入 schema-report.json
+ * 映射配置依賴的欄位消失時拋出錯誤,避免以錯誤資料覆寫年份檔案並進入同步階段
  * @param {string} sportId - 運動 ID
- * @returns {Object} 按年份分組的賽事 { '2025': [...], '2026': [...] }
+ * @param {string} sportDir - 運動資料目錄
+ * @param {Object} schema - 本次的結構指紋
+ * @param {Array} standardizedEvents - 標準化後的賽事 (用於決定比對的年份)
+ * @param {Object} mappingConfig - 映射配置
+ * @param {boolean} persist - 是否寫入 schema-report.json (dry-run 時不寫入)
+ * @returns {Promise<Object>} 結構差異報告
  */
-async function groupEventsByYear(rawData, sportId) {
-  const eventsByYear = {};
+async function checkSchemaDrift(sportId, sportDir, schema, standardizedEvents, mappingConfig, persist = true) {
+  const years = new Set();
+  for (const event of standardizedEvents) {
+    const start = new Date(event.dateStart || '');
+    if (!isNaN(start.getTime())) years.add(start.getUTCFullYear());
+  }
 
-  // 根據不同運動的 API 格式提取賽事
-  let allEvents = [];
+  // 先前的指紋: 優先使用 metadata.schema,舊檔案則由 rawData 重新計算
+  const previousFingerprints = [];
+  for (const year of years) {
+    const previousFile = await readYearFile(sportId, year);
+    if (!previousFile) continue;
 
-  if (sportId === 'bwf') {
-    // BWF 格式: { results: [{month, tournaments: [...]}] }
-    if (rawData.results && Array.isArray(rawData.results)) {
-      for (const monthData of rawData.results) {
-        if (monthData.tournaments && Array.isArray(monthData.tournaments)) {
-          allEvents.push(...monthData.tournaments);
-        }
-      }
-    }
-  } else {
-    // 其他運動格式 (可擴展)
-    // 假設是直接的賽事陣列
-    if (Array.isArray(rawData)) {
-      allEvents = rawData;
-    } else if (rawData.tournaments && Array.isArray(rawData.tournaments)) {
-      allEvents = rawData.tournaments;
-    }
+    previousFingerprints.push(
+      previousFile.metadata?.schema ||
+      fingerprintRawEvents((previousFile.events || []).map(event => event.rawData).filter(Boolean))
+    );
   }
 
-  // 按年份分組
-  for (const event of allEvents) {
-    // 從 start_date 提取年份
-    const startDate = event.start_date || event.dateStart;
-    if (!startDate) {
-      console.warn(`Event missing start_date, skipping:`, event.name || event);
-      continue;
-    }
+  const previousSchema = mergeFingerprints(previousFingerprints);
+  const diff = previousSchema
+    ? compareFingerprints(previousSchema, schema)
+    : { added: [], removed: [], retyped: [], changed: false };
+
+  const dependencies = getMappingDependencies(mappingConfig);
+  const missingDependencies = diff.removed
+    .map(entry => entry.field)
+    .filter(field => dependencies.includes(field));
+
+  const report = {
+    sportId,
+    generatedAt: new Date().toISOString(),
+    apiVersion: mappingConfig.apiVersion || getApiVersion(sportId),
+    previousHash: previousSchema?.hash || null,
+    currentHash: schema.hash,
+    added: diff.added,
+    removed: diff.removed,
+    retyped: diff.retyped,
+    missingDependencies
+  };
 
-    const year = new Date(startDate).getFullYear();
-    if (!eventsByYear[year]) {
-      eventsByYear[year] = [];
-    }
+  const reportPath = path.join(sportDir, SCHEMA_REPORT_FILE);
+  if (persist) {
+    await saveWithRetry(reportPath, report);
+  }
 
-    eventsByYear[year].push(event);
+  if (diff.changed) {
+    console.warn(`⚠️  Schema drift detected for ${sportId} (${report.previousHash} → ${report.currentHash}):`);
+    diff.added.forEach(entry => console.warn(`   + ${entry.field} (${entry.types.join('|')})`));
+    diff.removed.forEach(entry => console.warn(`   - ${entry.field} (${entry.types.join('|')})`));
+    diff.retyped.forEach(entry => console.warn(`   ~ ${entry.field} (${entry.from.join('|')} → ${entry.to.join('|')})`));
   }
 
-  return eventsByYear;
+  if (missingDependencies.length > 0) {
+    throw new Error(
+      `Upstream fields required by the ${sportId} mapping config disappeared: ${missingDependencies.join(', ')}, see ${reportPath}`
+    );
+  }
+
+  return report;
 }
 
 /**
- * 載入本地賽事資料
- * @param {string} sportId - 運動 ID
- * @param {number} year - 年份 (可選,預設載入所有年份)
- * @returns {Promise<Array>} 賽事資料陣列
+ * 判斷年份檔案的賽事與映射配置是否與本次相同
+ * @param {Object|null} previousFile - 既有的年份檔案
+ * @param {Array} events - 本次的賽事
+ * @param {Object} mappingConfig - 映射配置
+ * @returns {boolean} 是否未變更
  */
-export async function loadLocalTournamentData(sportId, year = null) {
-  try {
-    const sportDir = path.join(PUBLIC_DATA_DIR, sportId);
-
-    // 如果指定年份,只載入該年份
-    if (year) {
-      const filePath = path.join(sportDir, `${year}.json`);
-      const data = await fs.readFile(filePath, 'utf-8');
-      const jsonData = JSON.parse(data);
-      return jsonData.events || [];
-    }
+function isYearFileUnchanged(previousFile, events, mappingConfig) {
+  if (!previousFile) return false;
 
-    // 否則載入所有年份
-    const files = await fs.readdir(sportDir);
-    const yearFiles = files.filter(f => f.endsWith('.json') && /^\d{4}\.json$/.test(f));
+  return JSON.stringify(previousFile.events) === JSON.stringify(events) &&
+    JSON.stringify(previousFile.mappingConfig) === JSON.stringify(mappingConfig);
+}
 
-    const allData = [];
-    for (const file of yearFiles) {
-      const filePath = path.join(sportDir, file);
-      const data = await fs.readFile(filePath, 'utf-8');
-      const jsonData = JSON.parse(data);
-      if (jsonData.events && Array.isArray(jsonData.events)) {
-        allData.push(...jsonData.events);
-      }
-    }
+/**
+ * 讀取既有的年份資料
+ * @param {string} sportId - 運動 ID
+ * @param {number|string} year - 年份
+ * @returns {Promise<Object|null>} 年份資料 { metadata, mappingConfig, events },不存在時為 null
+ */
+async function readYearFile(sportId, year) {
+  return getStorage().readYear(sportId, parseInt(year));
+}
 
-    console.log(`Loaded ${allData.length} events from local storage for ${sportId}`);
-    return allData;
-  } catch (error) {
-    if (error.code === 'ENOENT') {
-      console.warn(`No local tournament data found for ${sportId}`);
-      return [];
-    }
-    console.error(`Error loading tournament data for ${sportId}:`, error);
-    throw error;
+/**
+ * 取得本次資料完整涵蓋的年份 (這些年份中沒出現的賽事才視為消失)
+ * 多賽季資料以成功取得的賽季為準 (跨年賽事不會讓前一年被視為已涵蓋),
+ * 其他格式以賽事所在的年份為準
+ * @param {Object} rawData - 原始 API 資料
+ * @param {Object} eventsByYear - 按年份分組的賽事
+ * @returns {Array<number>} 年份陣列
+ */
+function getCoveredYears(rawData, eventsByYear) {
+  if (rawData && Array.isArray(rawData.seasons)) {
+    return rawData.seasons.map(season => season.year).sort();
   }
+
+  return Object.keys(eventsByYear).map(year => parseInt(year)).sort();
 }
 
 /**
- * 載入欄位映射配置
+ * 讀取多個年份資料中的賽事
  * @param {string} sportId - 運動 ID
- * @returns {Promise<Object>} 映射配置
+ * @param {Array<number>} years - 年份陣列
+ * @returns {Promise<{ events: Array, years: Array<number> }>} 賽事陣列與實際存在的年份
  */
-async function loadMappingConfig(sportId) {
-  try {
-    const configPath = path.join(MAPPING_CONFIGS_DIR, `${sportId}.json`);
-    const data = await fs.readFile(configPath, 'utf-8');
-    return JSON.parse(data);
-  } catch (error) {
-    console.warn(`No mapping config found for ${sportId}, using default`);
-    return getDefaultMappingConfig();
+async function loadYearFileEvents(sportId, years) {
+  const events = [];
+  const existingYears = [];
+
+  for (const year of years) {
+    const yearFile = await readYearFile(sportId, year);
+    if (yearFile && Array.isArray(yearFile.events)) {
+      events.push(...yearFile.events);
+      existingYears.push(year);
+    }
   }
+
+  return { events, years: existingYears };
 }
 
 /**
- * 取得預設映射配置
+ * 取得連續缺席幾次後移除賽事 (環境變數 STORAGE_PURGE_AFTER_MISSING_RUNS 優先)
+ * @param {Object} mappingConfig - 映射配置
+ * @returns {number} 次數 (至少為 1,1 代表不保留)
  */
-function getDefaultMappingConfig() {
-  return {
-    version: '1.0',
-    fields: {
-      id: '$.id',
-      name: '$.name',
-      dateStart: '$.start_date',
-      dateEnd: '$.end_date',
-      location: {
-        city: '$.city',
-        country: '$.country',
-        venue: '$.venue'
-      },
-      category: '$.category',
-      url: '$.url'
-    }
-  };
+function getPurgeAfterMissingRuns(mappingConfig = {}) {
+  const fromEnv = parseInt(process.env.STORAGE_PURGE_AFTER_MISSING_RUNS);
+  const value = !isNaN(fromEnv) ? fromEnv : mappingConfig.storage?.purgeAfterMissingRuns;
+
+  return typeof value === 'number' && value >= 1 ? value : DEFAULT_PURGE_AFTER_MISSING_RUNS;
 }
 
 /**
- * 取得來源名稱
+ * 將本次的賽事與既有賽事合併
+ * - 本次出現的賽事以本次為準 (清除先前的 missingSince 標記)
+ * - 涵蓋年份中消失的賽事保留並標記 missingSince / missingRuns,連續缺席 purgeAfter 次後移除
+ * - 未涵蓋年份的既有賽事維持原狀
+ * @param {Array} previousEvents - 既有年份檔案中的賽事
+ * @param {Array} currentEvents - 本次通過驗證的賽事
+ * @param {Array<number>} coveredYears - 本次完整涵蓋的年份
+ * @param {number} purgeAfter - 連續缺席幾次後移除
+ * @returns {{ events: Array, missing: Array, purged: Array }} 合併後的賽事、保留中的消失賽事與被移除的賽事
  */
-function getSourceName(sportId) {
-  const sources = {
-    'bwf': 'BWF Official API',
-    'tennis': 'Tennis API'
-  };
-  return sources[sportId] || `${sportId.toUpperCase()} API`;
+function mergeMissingEvents(previousEvents, currentEvents, coveredYears, purgeAfter) {
+  const currentIds = new Set(currentEvents.map(event => event.id));
+  const now = new Date().toISOString();
+  const events = [...currentEvents];
+  const missing = [];
+  const purged = [];
+
+  for (const previous of previousEvents) {
+    if (currentIds.has(previous.id)) continue;
+
+    const year = new Date(previous.dateStart).getUTCFullYear();
+    if (!coveredYears.includes(year)) {
+      events.push(previous);
+      continue;
+    }
+
+    const missingRuns = (previous.missingRuns || 0) + 1;
+    if (missingRuns >= purgeAfter) {
+      purged.push(previous);
+      continue;
+    }
+
+    const tombstone = { ...previous, missingSince: previous.missingSince || now, missingRuns };
+    events.push(tombstone);
+    missing.push(tombstone);
+  }
+
+  return { events, missing, purged };
 }
 
 /**
- * 取得 API 版本
+ * 依賽季取出原始賽事,支援多賽季格式 { seasons: [{ year, data }] }
+ * @param {Object} rawData - 原始 API 資料
+ * @param {Object} mappingConfig - 映射配置
+ * @returns {Array<Array>} 每個賽季的原始賽事陣列
  */
-function getApiVersion(sportId) {
-  const versions = {
-    'bwf': 'vue-grouped-year-tournaments-v1'
-  };
-  return versions[sportId] || 'v1';
+function extractSeasonRawEvents(rawData, mappingConfig) {
+  if (rawData && Array.isArray(rawData.seasons)) {
+    return rawData.seasons.map(season => extractRawEvents(season.data, mappingConfig));
+  }
+
+  return [extractRawEvents(rawData, mappingConfig)];
 }
 
 /**
- * 從賽事資料提取 ID
+ * 合併多個賽季的標準化賽事
+ * 同一賽事出現在多個賽季回應時 (例如跨年賽事) 以較晚的賽季為準
+ * @param {Array<Array>} seasonEvents - 每個賽季的標準化賽事
+ * @returns {Array} 合併後的賽事
  */
-function extractId(event, sportId) {
-  if (sportId === 'bwf') {
-    return `bwf-${event.id || Date.now()}-${(event.code || '').substring(0, 8) || Math.random().toString(36).substr(2, 5)}`;
+function mergeSeasonEvents(seasonEvents) {
+  let merged = [];
+
+  for (const events of seasonEvents) {
+    const ids = new Set(events.map(event => event.id));
+    merged = merged.filter(event => !ids.has(event.id)).concat(events);
   }
-  return `${sportId}-${event.id || Date.now()}`;
+
+  return merged;
 }
 
 /**
- * 從位置字串提取城市
+ * 依映射配置標準化原始賽事
+ * @param {Array} rawEvents - 原始賽事陣列
+ * @param {string} sportId - 運動 ID
+ * @param {Object} mappingConfig - 映射配置
+ * @returns {Array} 標準化後的賽事 (含 rawData)
  */
-function extractCity(locationString) {
-  if (!locationString) return '';
-  // 提取逗號前的部分作為城市
-  const match = locationString.match(/^([^,]+)/);
-  return match ? match[1].trim() : locationString;
+function standardizeRawEvents(rawEvents, sportId, mappingConfig) {
+  return rawEvents.map(rawEvent => {
+    const standardized = standardizeEvent(rawEvent, mappingConfig);
+
+    return {
+      ...standardized,
+      id: standardized.id || buildFallbackId(sportId, standardized, mappingConfig),
+      // 保留完整原始資料
+      rawData: rawEvent
+    };
+  });
 }
 
 /**
- * 從類別字串提取等級
+ * 按年份分組賽事 (依 dateStart 的 UTC 年份)
+ * @param {Array} events - 已通過驗證的標準化賽事
+ * @returns {Object} 按年份分組的賽事 { '2025': [...], '2026': [...] }
  */
-function extractLevel(categoryString) {
-  if (!categoryString) return '';
-  // 提取 "Super 1000", "World Championships" 等
-  const match = categoryString.match(/(Super \d+|World Championships|Grand Prix)/i);
-  return match ? match[1] : '';
+function groupEventsByYear(events) {
+  const eventsByYear = {};
+
+  for (const event of events) {
+    const year = new Date(event.dateStart).getUTCFullYear();
+    if (!eventsByYear[year]) {
+      eventsByYear[year] = [];
+    }
+
+    eventsByYear[year].push(event);
+  }
+
+  return eventsByYear;
 }
 
 /**
- * 解析日期為 ISO 8601 格式 (UTC)
+ * 載入本地賽事資料 (由目前的儲存後端讀取)
+ * @param {string} sportId - 運動 ID
+ * @param {number} year - 年份 (可選,預設載入所有年份)
+ * @param {Object} pendingYears - 尚未寫入的年份資料 (dry-run 時 saveRawTournamentData 的結果),取代儲存後端中的同一年份 (可選)
+ * @returns {Promise<Array>} 賽事資料陣列
  */
-function parseDate(dateString) {
-  if (!dateString) return null;
-
+export async function loadLocalTournamentData(sportId, year = null, pendingYears = null) {
   try {
-    // 處理 "YYYY-MM-DD HH:mm:ss" 格式 (BWF 使用)
-    if (/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(dateString)) {
-      const date = new Date(dateString.replace(' ', 'T') + 'Z'); // 假設為 UTC
-      return date.toISOString();
+    const storage = getStorage();
+    const pendingYearNumbers = Object.keys(pendingYears || {}).map(y => parseInt(y));
+    const years = year
+      ? [year]
+      : [...new Set([...await storage.listYears(sportId), ...pendingYearNumbers])].sort();
+
+    const allData = [];
+    for (const y of years) {
+      if (pendingYears?.[y]) {
+        allData.push(...pendingYears[y]);
+        continue;
+      }
+
+      const yearData = await storage.readYear(sportId, y);
+      if (yearData?.events && Array.isArray(yearData.events)) {
+        allData.push(...yearData.events);
+      }
     }
 
-    // 處理標準 ISO 格式
-    const date = new Date(dateString);
-    if (isNaN(date.getTime())) {
-      console.warn(`Invalid date string: ${dateString}`);
-      return null;
+    if (years.length === 0) {
+      console.warn(`No local tournament data found for ${sportId}`);
+      return [];
     }
 
-    return date.toISOString();
+    console.log(`Loaded ${allData.length} events from ${storage.type} storage for ${sportId}`);
+    return allData;
   } catch (error) {
-    console.error(`Error parsing date: ${dateString}`, error);
-    return null;
+    console.error(`Error loading tournament data for ${sportId}:`, error);
+    throw error;
   }
 }
 
 /**
- * 帶重試機制的檔案寫入
+ * 取得來源名稱
+ */
+function getSourceName(sportId) {
+  const sources = {
+    'bwf': 'BWF Official API',
+    'tennis': 'Tennis API'
+  };
+  return sources[sportId] || `${sportId.toUpperCase()} API`;
+}
+
+/**
+ * 取得 API 版本 (映射配置未宣告 apiVersion 時使用)
+ */
+function getApiVersion(sportId) {
+  const versions = {
+    'bwf': 'vue-grouped-year-tournaments-v1'
+  };
+  return versions[sportId] || 'v1';
+}
+
+/**
+ * 帶重試機制的檔案寫入 (原子寫入)
  * @param {string} filePath - 檔案路徑
  * @param {Object} data - 要寫入的資料
+ */
+async function saveWithRetry(filePath, data) {
+  await withWriteRetry(() => writeJsonFile(filePath, data));
+}
+
+/**
+ * 帶重試機制的寫入
+ * @param {Function} write - 寫入函式
  * @param {number} retries - 重試次數
  */
-async function saveWithRetry(filePath, data, retries = 3) {
+async function withWriteRetry(write, retries = 3) {
   for (let i = 0; i < retries; i++) {
     try {
-      await fs.writeFile(filePath, JSON.stringify(data, null, 2), 'utf-8');
+      await write();
       return;
     } catch (error) {
       if (i === retries - 1) throw error;
@@ -0,0 +1,319 @@
+/**
+ * Sync Plan - 比對本地賽事與同步狀態,計算同步會執行的操作 (不呼叫 Google Calendar API)
+ *
+ * syncWithCalendar 先建立計畫再依計畫執行;dry-run 時只輸出計畫,供套用前審閱
+ *
+ * 每個日曆 (calendarSegments 的分段) 各有一份計畫
+ * 檔案位置: calendar-scripts/data/sync-plans/{sport}.json (預設分段) 或 {sport}.{segment}.json
+ * {
+ *   version: 3,
+ *   sportId: 'bwf',
+ *   segment: 'all',
+ *   calendarId: string | null,
+ *   generatedAt: '2025-01-20T00:00:00.000Z',
+ *   summary: { create: 1, update: 1, delete: 1, unchanged: 40, missing: 0, deferred: 0, duplicates: 0 },
+ *   duplicateIds: [],
+ *   actions: [
+ *     { type: 'create', eventId, name, calendarId, hash, renderHash },
+ *     { type: 'update', eventId, name, calendarId, googleEventId, hash, renderHash, previousHash, reason, changes: [{ field, from, to }] },
+ *     { type: 'delete', eventId, name, calendarId, googleEventId, reason? },
+ *     { type: 'unchanged', eventId, name },
+ *     { type: 'missing', eventId, name, missingSince },
+ *     { type: 'deferred', eventId, name, reason }
+ *   ]
+ * }
+ *
+ * update 的 reason: 'changed' (hash 不同)、'hash-version' (hash 以舊版演算法計算,優先於 changed)、
+ * 'restamp' (reconcile 時對應到沒有來源識別的日曆事件,更新以補上 extendedProperties)
+ * 或 'render' (賽事內容未變,但寫入日曆的事件內容 (eventRenderer) 改變)
+ * delete 的 reason 為 'duplicate' 時是 reconcile 找到的重複日曆事件 (同步狀態保留原本的記錄),與其他刪除一起受刪除上限檢查
+ * 只因格式改變的更新 ('render' / 'hash-version') 每次同步最多 SYNC_MAX_RERENDERS 筆 (預設 100),
+ * 進行中與即將開始的賽事優先,其餘標記為 deferred 留到之後的同步
+ * changes 由 calculateEventHash 使用的欄位比對而來;事件在同步狀態記錄欄位前同步時無法比對,changes 為 null
+ * 上次同步寫入失敗 (同步狀態的 pendingWrites) 的 create / update / delete 帶有 retry: { attempts, lastError }
+ */
+
+import { calculateEventHash, getHashFields, diffHashFields, HASH_VERSION } from './hashUtils.js';
+import { calculateRenderHash } from './eventRenderer.js';
+import { writeJsonFile } from './jsonFile.js';
+import { DEFAULT_SEGMENT_KEY, getSegmentLabel } from './calendarSegments.js';
+import { getStateDir } from './dataPaths.js';
+
+const SYNC_PLAN_DIR_NAME = 'sync-plans';
+const SYNC_PLAN_VERSION = 3;
+
+// 每次同步最多執行的重新寫入 (只因格式改變的更新) 數
+const DEFAULT_MAX_RERENDERS = 100;
+
+// 只因格式改變 (內容未變) 的更新原因,超過上限時延後
+const RERENDER_REASONS = ['render', 'hash-version'];
+
+// 人類可讀輸出中各操作的符號
+const ACTION_SYMBOLS = {
+  create: '+',
+  update: '~',
+  delete: '-',
+  missing: '?'
+};
+
+/**
+ * 建立單一日曆的同步計畫
+ * @param {string} sportId - 運動 ID
+ * @param {Array} localEvents - 屬於此日曆的本地標準化賽事
+ * @param {Object} calendarState - 日曆的同步狀態 ({ calendarId, events, pendingWrites },見 syncStateSchema.js)
+ * @param {string|null} calendarId - 新事件要建立在的日曆 ID
+ * @param {Object} options - 設定 (可選)
+ * @param {string} options.segment - 日曆分段 key (預設為 DEFAULT_SEGMENT_KEY)
+ * @param {Set<string>} options.restampIds - 需要補上來源識別的賽事 ID (reconcileSyncState 的結果)
+ * @param {Array} options.remoteDuplicates - 要刪除的重複日曆事件 [{ calendarId, eventId, event }] (reconcileSyncState 的結果)
+ * @param {number} options.maxRerenders - 最多執行的重新寫入數 (預設依 SYNC_MAX_RERENDERS)
+ * @returns {Object} 同步計畫
+ */
+export function buildSyncPlan(sportId, localEvents, calendarState, calendarId, options = {}) {
+  const segment = options.segment || DEFAULT_SEGMENT_KEY;
+  const restampIds = options.restampIds || new Set();
+  const remoteDuplicates = options.remoteDuplicates || [];
+  const maxRerenders = getMaxRerenders(options);
+
+  // 建立本地事件映射表 (重複 ID 保留第一筆,不讓後面的賽事覆蓋)
+  const localEventsMap = new Map();
+  const duplicateIds = new Set();
+  for (const event of localEvents) {
+    if (localEventsMap.has(event.id)) {
+      duplicateIds.add(event.id);
+      console.error(`❌ Duplicate event ID ${event.id}: "${localEventsMap.get(event.id).name}" and "${event.name}", keeping the first`);
+      continue;
+    }
+    localEventsMap.set(event.id, event);
+  }
+
+  const actions = [];
+
+  // CREATE / UPDATE / UNCHANGED / MISSING
+  for (const [eventId, event] of localEventsMap.entries()) {
+    const existingSync = calendarState.events[eventId];
+    const hash = calculateEventHash(event);
+    const renderHash = event.missingSince ? null : calculateRenderHash(event);
+
+    if (event.missingSince) {
+      // 從來源消失但仍在保留期間,保留日曆事件不建立也不更新
+      actions.push({ type: 'missing', eventId, name: event.name, missingSince: event.missingSince });
+
+    } else if (!existingSync) {
+      actions.push({ type: 'create', eventId, name: event.name, calendarId, hash, renderHash, event });
+
+    } else if (
+      existingSync.hash !== hash ||
+      existingSync.hashVersion !== HASH_VERSION ||
+      existingSync.renderHash !== renderHash ||
+      restampIds.has(eventId)
+    ) {
+      const fields = getHashFields(event);
+      actions.push({
+        type: 'update',
+        eventId,
+        name: event.name,
+        calendarId: existingSync.calendarId || calendarId,
+        googleEventId: existingSync.googleEventId,
+        hash,
+        renderHash,
+        previousHash: existingSync.hash,
+        reason: getUpdateReason(existingSync, hash, restampIds.has(eventId)),
+        changes: existingSync.fields ? diffHashFields(existingSync.fields, fields) : null,
+        event
+      });
+
+    } else {
+      actions.push({ type: 'unchanged', eventId, name: event.name });
+    }
+  }
+
+  // DELETE: 同步狀態中有、本地已不存在的事件
+  for (const [eventId, syncData] of Object.entries(calendarState.events)) {
+    if (!localEventsMap.has(eventId)) {
+      actions.push({
+        type: 'delete',
+        eventId,
+        name: syncData.fields?.name || null,
+        calendarId: syncData.calendarId || calendarId,
+        googleEventId: syncData.googleEventId
+      });
+    }
+  }
+
+  // 標記上次同步寫入失敗、這次重新送出的操作
+  for (const action of actions) {
+    const pendingWrite = calendarState.pendingWrites?.[action.eventId];
+    if (pendingWrite && ['create', 'update', 'delete'].includes(action.type)) {
+      action.retry = { attempts: pendingWrite.attempts, lastError: pendingWrite.lastError };
+    }
+  }
+
+  // DELETE: 日曆上的重複事件 (不重試,下次同步的 reconcile 會再找到)
+  for (const { calendarId: duplicateCalendarId, eventId, event } of remoteDuplicates) {
+    actions.push({
+      type: 'delete',
+      eventId,
+      name: event.summary || null,
+      calendarId: duplicateCalendarId,
+      googleEventId: event.id,
+      reason: 'duplicate'
+    });
+  }
+
+  deferRerenders(actions, maxRerenders);
+
+  const count = type => actions.filter(action => action.type === type).length;
+
+  return {
+    version: SYNC_PLAN_VERSION,
+    sportId,
+    segment,
+    calendarId,
+    generatedAt: new Date().toISOString(),
+    summary: {
+      create: count('create'),
+      update: count('update'),
+      delete: count('delete'),
+      unchanged: count('unchanged'),
+      missing: count('missing'),
+      deferred: count('deferred'),
+      duplicates: duplicateIds.size
+    },
+    duplicateIds: [...duplicateIds],
+    actions
+  };
+}
+
+/**
+ * 取得更新事件的原因
+ * @param {Object} existingSync - 同步狀態中的記錄
+ * @param {string} hash - 目前的 hash
+ * @param {boolean} restamp - 是否需要補上來源識別
+ * @returns {string} 'restamp' | 'hash-version' | 'changed' | 'render'
+ */
+function getUpdateReason(existingSync, hash, restamp) {
+  if (restamp) return 'restamp';
+  // 演算法變更通常也會改變 hash,仍以 hash-version 標示 (changes 會列出新增的欄位)
+  if (existingSync.hashVersion !== HASH_VERSION) return 'hash-version';
+  return existingSync.hash !== hash ? 'changed' : 'render';
+}
+
+/**
+ * 取得每次同步最多執行的重新寫入數 (環境變數可覆寫)
+ * @param {Object} options - 覆寫設定
+ * @returns {number} 上限
+ */
+function getMaxRerenders(options) {
+  if (Number.isInteger(options.maxRerenders)) return options.maxRerenders;
+
+  const fromEnv = parseInt(process.env.SYNC_MAX_RERENDERS);
+  return fromEnv >= 0 ? fromEnv : DEFAULT_MAX_RERENDERS;
+}
+
+/**
+ * 超過上限的重新寫入改為 deferred (直接修改 actions)
+ * 進行中與即將開始的賽事優先 (依開始日期),再來是最近結束的賽事
+ * @param {Array} actions - 同步計畫的操作
+ * @param {number} maxRerenders - 上限
+ */
+function deferRerenders(actions, maxRerenders) {
+  const now = new Date().toISOString();
+  const rerenders = actions.filter(action => action.type === 'update' && RERENDER_REASONS.includes(action.reason) && !action.retry);
+  if (rerenders.length <= maxRerenders) return;
+
+  const isPast = action => (action.event.dateEnd || '') < now;
+  rerenders.sort((a, b) => {
+    if (isPast(a) !== isPast(b)) return isPast(a) ? 1 : -1;
+    return isPast(a)
+      ? String(b.event.dateStart).localeCompare(String(a.event.dateStart))
+      : String(a.event.dateStart).localeCompare(String(b.event.dateStart));
+  });
+
+  const deferred = new Set(rerenders.slice(maxRerenders));
+  actions.forEach((action, index) => {
+    if (deferred.has(action)) {
+      actions[index] = { type: 'deferred', eventId: action.eventId, name: action.name, reason: action.reason };
+    }
+  });
+}
+
+/**
+ * 將同步計畫轉成可輸出的 JSON (移除執行時使用的事件物件)
+ * @param {Object} plan - 同步計畫
+ * @returns {Object} 可序列化的同步計畫
+ */
+export function serializeSyncPlan(plan) {
+  return {
+    ...plan,
+    actions: plan.actions.map(({ event, ...action }) => action)
+  };
+}
+
+/**
+ * 格式化同步計畫為人類可讀的文字 (未變更的事件只列出數量)
+ * @param {Object} plan - 同步計畫
+ * @returns {string} 格式化的計畫
+ */
+export function formatSyncPlan(plan) {
+  const lines = [`📋 Sync plan for ${getSegmentLabel(plan.sportId, plan.segment)} (calendar: ${plan.calendarId || 'not created yet'})`];
+
+  for (const action of plan.actions) {
+    if (action.type === 'unchanged' || action.type === 'deferred') continue;
+
+    const label = action.name ? `${action.eventId} "${action.name}"` : action.eventId;
+    const detail = action.type === 'missing'
+      ? ` (missing since ${action.missingSince}, kept)`
+      : action.reason === 'duplicate' ? ` (duplicate calendar event ${action.googleEventId})` : '';
+    lines.push(`   ${ACTION_SYMBOLS[action.type]} ${action.type.padEnd(7)} ${label}${detail}`);
+
+    if (action.retry) {
+      lines.push(`       (retrying after ${action.retry.attempts} failed attempts: ${action.retry.lastError})`);
+    }
+
+    if (action.type !== 'update') continue;
+
+    if (action.reason === 'hash-version') {
+      lines.push(`       (hash algorithm changed to version ${HASH_VERSION}, re-rendering)`);
+    } else if (action.reason === 'restamp') {
+      lines.push('       (calendar event has no source stamp, re-rendering to add it)');
+    } else if (action.reason === 'render') {
+      lines.push('       (calendar event format changed, re-rendering)');
+    }
+    if (action.changes === null) {
+      lines.push('       (previous fields not recorded, field changes unknown)');
+    } else {
+      for (const change of action.changes) {
+        lines.push(`       ${change.field}: ${JSON.stringify(change.from)} → ${JSON.stringify(change.to)}`);
+      }
+    }
+  }
+
+  const { summary } = plan;
+  lines.push(
+    `   Summary: ${summary.create} to create, ${summary.update} to update, ${summary.delete} to delete, ` +
+    `${summary.unchanged} unchanged, ${summary.missing} missing (kept), ${summary.deferred} re-renders deferred, ` +
+    `${summary.duplicates} duplicate IDs`
+  );
+
+  return lines.join('\n');
+}
+
+/**
+ * 寫入同步計畫 JSON (calendar-scripts/data/sync-plans/{sport}.json,預設分段以外為 {sport}.{segment}.json)
+ * @param {Object} plan - 同步計畫
+ * @returns {Promise<string>} 寫入的檔案路徑
+ */
+export async function writeSyncPlan(plan) {
+  const fileName = plan.segment === DEFAULT_SEGMENT_KEY ? plan.sportId : `${plan.sportId}.${plan.segment}`;
+  const filePath = getStateDir(SYNC_PLAN_DIR_NAME, `${fileName}.json`);
+
+  try {
+    // 計畫隨時可重新產生,不需要 .bak 備份
+    await writeJsonFile(filePath, serializeSyncPlan(plan), { backup: false });
+    return filePath;
+  } catch (error) {
+    console.error(`Error writing sync plan for ${plan.sportId}:`, error);
+    throw error;
+  }
+}
@@ -1,53 +1,117 @@
-import fs from 'fs/promises';
-import path from 'path';
-import { fileURLToPath } from 'url';
+import { getStorage } from '../storage/storageFactory.js';
+import {
+  migrateSyncState,
+  splitLegacySyncState,
+  assertValidSyncState,
+  createSyncStateShard,
+  createEventSyncState,
+  getCalendarSyncState
+} from './syncStateSchema.js';
+import { DEFAULT_SEGMENT_KEY } from './calendarSegments.js';
 
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const SYNC_STATE_FILE = path.join(__dirname, '../../data/sync-state.json');
+// 已檢查過舊版同步狀態的儲存後端 (每個後端每次執行只拆分一次)
+const checkedStorages = new WeakSet();
 
 /**
- * 載入同步狀態
- * @returns {Promise<Object>} 同步狀態物件
+ * 將所有運動共用的舊版同步狀態拆成各運動的分片 (一次性遷移)
+ * 已有分片的運動保留既有分片,不以舊版內容覆寫
+ * @param {Object} storage - 儲存後端 (預設為目前的儲存後端)
+ * @returns {Promise<Array<string>>} 新建立分片的運動 ID
  */
-export async function loadSyncState() {
-  try {
-    const data = await fs.readFile(SYNC_STATE_FILE, 'utf-8');
-    return JSON.parse(data);
-  } catch (error) {
-    // 檔案不存在時返回空狀態
-    if (error.code === 'ENOENT') {
-      console.log('Sync state file not found, returning empty state');
-      return {
-        version: '1.0',
-        lastSync: null,
-        sports: {}
-      };
+export async function splitLegacySyncStateFile(storage = getStorage()) {
+  if (checkedStorages.has(storage)) return [];
+
+  const legacyState = await storage.readLegacySyncState();
+  if (!legacyState) {
+    checkedStorages.add(storage);
+    return [];
+  }
+
+  const { shards, applied } = splitLegacySyncState(legacyState);
+  for (const description of applied) {
+    console.log(`⬆️  Migrated sync state ${description}`);
+  }
+
+  const existingSportIds = await storage.listSyncStates();
+  const created = [];
+
+  for (const [sportId, shard] of Object.entries(shards)) {
+    if (existingSportIds.includes(sportId)) {
+      console.warn(`⚠️  Sync state shard for ${sportId} already exists, keeping it instead of the legacy entry`);
+      continue;
     }
-    throw error;
+
+    assertValidSyncState(shard);
+    await storage.writeSyncState(sportId, shard);
+    created.push(sportId);
+  }
+
+  // 全部分片寫入後才移除舊檔,中途失敗時下次執行會重新拆分
+  await storage.removeLegacySyncState();
+  checkedStorages.add(storage);
+  console.log(`✅ Split legacy sync state into ${created.length} shards: ${created.join(', ')}`);
+
+  return created;
+}
+
+/**
+ * 載入單一運動的同步狀態分片 (舊版本會升級到目前版本並驗證結構)
+ * @param {string} sportId - 運動 ID
+ * @returns {Promise<Object>} 同步狀態分片 (尚未同步過時為空白分片)
+ */
+export async function loadSyncState(sportId) {
+  await splitLegacySyncStateFile();
+
+  const storedShard = await getStorage().readSyncState(sportId);
+
+  // 尚未有同步狀態時返回空狀態
+  if (!storedShard) {
+    console.log(`Sync state for ${sportId} not found, returning empty state`);
+    return createSyncStateShard(sportId);
+  }
+
+  // 版本比目前程式新或無法辨識時拋出錯誤,不以舊程式覆寫
+  const { state, applied } = migrateSyncState(storedShard);
+  for (const description of applied) {
+    console.log(`⬆️  Migrated ${sportId} sync state ${description}`);
   }
+
+  assertValidSyncState(state);
+  return state;
 }
 
 /**
- * 儲存同步狀態 (帶重試機制)
- * @param {Object} syncState - 同步狀態物件
+ * 載入所有運動的同步狀態分片 (資料清單與修復工具使用)
+ * @returns {Promise<Object>} { [sportId]: 同步狀態分片 }
  */
-export async function saveSyncState(syncState) {
+export async function loadAllSyncStates() {
+  await splitLegacySyncStateFile();
+
+  const shards = {};
+  for (const sportId of await getStorage().listSyncStates()) {
+    shards[sportId] = await loadSyncState(sportId);
+  }
+
+  return shards;
+}
+
+/**
+ * 儲存單一運動的同步狀態分片 (帶重試機制)
+ * @param {Object} shard - 同步狀態分片
+ */
+export async function saveSyncState(shard) {
+  // 不寫入不符合結構的狀態,避免下次載入失敗
+  assertValidSyncState(shard);
+
   const retries = 3;
 
   for (let i = 0; i < retries; i++) {
     try {
-      // 確保目錄存在
-      await fs.mkdir(path.dirname(SYNC_STATE_FILE), { recursive: true });
-
-      await fs.writeFile(
-        SYNC_STATE_FILE,
-        JSON.stringify(syncState, null, 2),
-        'utf-8'
-      );
+      await getStorage().writeSyncState(shard.sportId, shard);
       return; // 成功,返回
     } catch (error) {
       if (i === retries - 1) {
-        console.error('Error saving sync state:', error);
+        console.error(`Error saving sync state for ${shard.sportId}:`, error);
         throw error;
       }
       console.warn(`Sync state save failed (attempt ${i + 1}/${retries}), retrying...`);
@@ -60,32 +124,35 @@ export async function saveSyncState(syncState) {
  * 更新單一運動的同步狀態
  * @param {string} sportId - 運動 ID
  * @param {string} eventId - 事件 ID
- * @param {Object} syncData - 同步資料 { googleEventId, lastSynced, hash }
+ * @param {Object} syncData - 同步資料 { googleEventId, hash, calendarId (可選,預設為分段的日曆) }
+ * @param {string} segmentKey - 日曆分段 key (可選,預設為 DEFAULT_SEGMENT_KEY)
  */
-export async function updateSyncState(sportId, eventId, syncData) {
-  const state = await loadSyncState();
-
-  if (!state.sports[sportId]) {
-    state.sports[sportId] = { events: {}, stats: {} };
-  }
+export async function updateSyncState(sportId, eventId, syncData, segmentKey = DEFAULT_SEGMENT_KEY) {
+  const shard = await loadSyncState(sportId);
+  const calendarState = getCalendarSyncState(shard, segmentKey);
 
-  state.sports[sportId].events[eventId] = syncData;
-  state.lastSync = new Date().toISOString();
+  calendarState.events[eventId] = {
+    ...createEventSyncState({ calendarId: calendarState.calendarId, ...syncData }),
+    ...syncData
+  };
+  shard.lastSync = new Date().toISOString();
 
-  await saveSyncState(state);
+  await saveSyncState(shard);
 }
 
 /**
  * 移除單一事件的同步狀態
  * @param {string} sportId - 運動 ID
  * @param {string} eventId - 事件 ID
+ * @param {string} segmentKey - 日曆分段 key (可選,預設為 DEFAULT_SEGMENT_KEY)
  */
-export async function removeSyncState(sportId, eventId) {
-  const state = await loadSyncState();
+export async function removeSyncState(sportId, eventId, segmentKey = DEFAULT_SEGMENT_KEY) {
+  const shard = await loadSyncState(sportId);
+  const calendarState = shard.calendars[segmentKey];
 
-  if (state.sports[sportId]?.events[eventId]) {
-    delete state.sports[sportId].events[eventId];
-    state.lastSync = new Date().toISOString();
-    await saveSyncState(state);
+  if (calendarState?.events[eventId]) {
+    delete calendarState.events[eventId];
+    shard.lastSync = new Date().toISOString();
+    await saveSyncState(shard);
   }
 }
@@ -0,0 +1,387 @@
+/**
+ * Sync State Schema - 同步狀態的結構定義、驗證與版本遷移
+ *
+ * 同步狀態依運動分片保存,目前版本 (5) 的單一分片:
+ * {
+ *   version: 5,
+ *   sportId: 'bwf',
+ *   lastSync: '2025-01-20T00:00:00.000Z' | null,
+ *   calendars: {
+ *     [segmentKey]: {
+ *       calendarId: string | null,
+ *       events: {
+ *         [eventId]: { googleEventId, calendarId, hash, hashVersion, renderHash, fields, lastSynced }
+ *       },
+ *       pendingWrites: {
+ *         [eventId]: { type: 'create' | 'update' | 'delete', attempts, lastError, lastAttempt }
+ *       }
+ *     }
+ *   },
+ *   stats: { totalEvents, lastUpdate, status, lastResult }
+ * }
+ *
+ * calendars 依日曆分段 (utils/calendarSegments.js) 記錄每個日曆中的事件,
+ * 同一個賽事屬於多個日曆時在每個日曆各有一筆記錄
+ *
+ * fields 為計算 hash 的欄位 (hashUtils 的 getHashFields),供同步計畫列出欄位差異;
+ * 在加入此欄位前同步的事件沒有 fields
+ * renderHash 為寫入日曆的事件內容的 hash (eventRenderer 的 calculateRenderHash),不同時重新寫入事件;
+ * 在加入此欄位前同步的事件沒有 renderHash,會在之後的同步逐步重新寫入
+ * pendingWrites 為重試後仍失敗的寫入,下次同步時重新送出 (成功後移除)
+ *
+ * 版本 1 / 2 是所有運動共用的單一檔案 ({ version, lastSync, sports: { [sportId]: ... } }),
+ * 由 splitLegacySyncState 依 LEGACY_MIGRATIONS 升級到版本 2 後拆成各運動的分片;
+ * 分片載入時依 SYNC_STATE_MIGRATIONS 的順序逐版升級。
+ * 版本比目前程式更新 (由較新的版本寫入) 時拒絕執行,避免以舊程式覆寫無法理解的欄位
+ */
+
+import { HASH_VERSION } from './hashUtils.js';
+import { DEFAULT_SEGMENT_KEY } from './calendarSegments.js';
+
+export const SYNC_STATE_VERSION = 5;
+
+// 最後一個單一檔案格式的版本 (之後的版本都是分片)
+const LEGACY_SYNC_STATE_VERSION = 2;
+
+/**
+ * 單一檔案格式依序執行的遷移 (from → to 必須連續)
+ */
+const LEGACY_MIGRATIONS = [
+  {
+    from: 1,
+    to: 2,
+    description: 'add per-event calendarId and hashVersion, normalize sport entries',
+    migrate(state) {
+      const sports = {};
+
+      for (const [sportId, sportState] of Object.entries(state.sports || {})) {
+        const calendarId = sportState?.calendarId || null;
+        const events = {};
+
+        for (const [eventId, syncData] of Object.entries(sportState?.events || {})) {
+          events[eventId] = {
+            ...syncData,
+            // 1.0 的 hash 都由第一版 calculateEventHash 計算,事件都在運動的日曆中
+            calendarId: syncData.calendarId || calendarId,
+            hashVersion: syncData.hashVersion || 1
+          };
+        }
+
+        sports[sportId] = {
+          ...sportState,
+          calendarId,
+          events,
+          stats: sportState?.stats || {}
+        };
+      }
+
+      return { ...state, lastSync: state.lastSync || null, sports };
+    }
+  }
+];
+
+// 寫入失敗時記錄的操作類型
+const PENDING_WRITE_TYPES = ['create', 'update', 'delete'];
+
+/**
+ * 分片依序執行的遷移 (from → to 必須連續)
+ * 新增遷移時: 在陣列尾端加入 { from: N, to: N + 1, description, migrate(shard) },並將 SYNC_STATE_VERSION 改為 N + 1
+ */
+const SYNC_STATE_MIGRATIONS = [
+  {
+    from: 3,
+    to: 4,
+    description: 'add pendingWrites queue for failed calendar writes',
+    migrate(shard) {
+      return { ...shard, pendingWrites: shard.pendingWrites || {} };
+    }
+  },
+  {
+    from: 4,
+    to: 5,
+    description: 'move events into per-calendar segments',
+    migrate({ calendarId, events, pendingWrites, ...shard }) {
+      // 分段前只有一個包含所有賽事的日曆
+      const hasCalendar = Boolean(calendarId) || Object.keys(events || {}).length > 0;
+      return {
+        ...shard,
+        calendars: hasCalendar
+          ? { [DEFAULT_SEGMENT_KEY]: { calendarId: calendarId || null, events: events || {}, pendingWrites: pendingWrites || {} } }
+          : {}
+      };
+    }
+  }
+];
+
+/**
+ * 建立單一運動的空白同步狀態分片 (syncWithCalendar 與 updateSyncState 共用)
+ * @param {string} sportId - 運動 ID
+ * @returns {Object} 同步狀態分片
+ */
+export function createSyncStateShard(sportId) {
+  return {
+    version: SYNC_STATE_VERSION,
+    sportId,
+    lastSync: null,
+    calendars: {},
+    stats: { totalEvents: 0, lastUpdate: new Date().toISOString() }
+  };
+}
+
+/**
+ * 取得分片中單一日曆的同步狀態 (不存在時建立)
+ * @param {Object} shard - 同步狀態分片
+ * @param {string} segmentKey - 日曆分段 key
+ * @returns {Object} { calendarId, events, pendingWrites }
+ */
+export function getCalendarSyncState(shard, segmentKey) {
+  if (!shard.calendars[segmentKey]) {
+    shard.calendars[segmentKey] = { calendarId: null, events: {}, pendingWrites: {} };
+  }
+  return shard.calendars[segmentKey];
+}
+
+/**
+ * 建立單一事件的同步狀態
+ * @param {Object} syncData - { googleEventId, calendarId, hash, renderHash (可選), fields (可選) }
+ * @returns {Object} 事件的同步狀態
+ */
+export function createEventSyncState({ googleEventId, calendarId, hash, renderHash, fields }) {
+  return {
+    googleEventId,
+    calendarId,
+    hash,
+    hashVersion: HASH_VERSION,
+    ...(renderHash ? { renderHash } : {}),
+    ...(fields ? { fields } : {}),
+    lastSynced: new Date().toISOString()
+  };
+}
+
+/**
+ * 取得同步狀態的版本號 ('1.0' 等舊格式字串視為主版本號)
+ * @param {Object} state - 同步狀態
+ * @returns {number} 版本號 (無法辨識時為 NaN)
+ */
+function getVersion(state) {
+  if (typeof state.version === 'number') return state.version;
+  if (typeof state.version === 'string' && /^\d+(\.\d+)?$/.test(state.version)) {
+    return parseInt(state.version);
+  }
+  return NaN;
+}
+
+/**
+ * 建立同步狀態錯誤
+ * @param {string} code - 錯誤代碼
+ * @param {string} message - 錯誤訊息
+ * @returns {Error} 錯誤
+ */
+function createSyncStateError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * 依序執行遷移,將文件升級到目標版本
+ * @param {Object} document - 同步狀態 (單一檔案或分片)
+ * @param {Array} migrations - 遷移清單
+ * @param {number} minVersion - 此格式的最低版本
+ * @param {number} targetVersion - 目標版本
+ * @returns {{ state: Object, applied: Array<string> }} 升級後的文件與執行的遷移
+ */
+function runMigrations(document, migrations, minVersion, targetVersion) {
+  let version = getVersion(document);
+
+  if (version > SYNC_STATE_VERSION) {
+    throw createSyncStateError(
+      'SYNC_STATE_VERSION_UNSUPPORTED',
+      `Sync state version ${version} is newer than supported version ${SYNC_STATE_VERSION}, upgrade calendar-scripts before running`
+    );
+  }
+
+  if (!Number.isInteger(version) || version < minVersion || version > targetVersion) {
+    throw createSyncStateError('SYNC_STATE_VERSION_UNKNOWN', `Unknown sync state version ${JSON.stringify(document.version)}`);
+  }
+
+  const applied = [];
+  let migrated = document;
+
+  while (version < targetVersion) {
+    const migration = migrations.find(entry => entry.from === version);
+    if (!migration) {
+      throw createSyncStateError('SYNC_STATE_VERSION_UNKNOWN', `No sync state migration from version ${version}`);
+    }
+
+    migrated = { ...migration.migrate(migrated), version: migration.to };
+    applied.push(`v${migration.from} → v${migration.to}: ${migration.description}`);
+    version = migration.to;
+  }
+
+  return { state: migrated, applied };
+}
+
+/**
+ * 將同步狀態分片升級到目前版本
+ * @param {Object} shard - 同步狀態分片
+ * @returns {{ state: Object, applied: Array<string> }} 升級後的分片與執行的遷移
+ */
+export function migrateSyncState(shard) {
+  return runMigrations(shard, SYNC_STATE_MIGRATIONS, LEGACY_SYNC_STATE_VERSION + 1, SYNC_STATE_VERSION);
+}
+
+/**
+ * 將所有運動共用的舊版同步狀態 (版本 1 / 2) 拆成各運動的分片
+ * @param {Object} legacyState - 舊版同步狀態 { version, lastSync, sports }
+ * @returns {{ shards: Object, applied: Array<string> }} { [sportId]: 分片 } 與執行的遷移
+ */
+export function splitLegacySyncState(legacyState) {
+  const { state, applied } = runMigrations(legacyState, LEGACY_MIGRATIONS, 1, LEGACY_SYNC_STATE_VERSION);
+
+  const shards = {};
+  const shardMigrations = new Set();
+  for (const [sportId, sportState] of Object.entries(state.sports)) {
+    // 拆出的分片為第一個分片版本,再升級到目前版本
+    const { state: shard, applied: shardApplied } = migrateSyncState({
+      version: LEGACY_SYNC_STATE_VERSION + 1,
+      sportId,
+      lastSync: state.lastSync,
+      calendarId: sportState.calendarId,
+      events: sportState.events,
+      stats: sportState.stats
+    });
+
+    shards[sportId] = shard;
+    shardApplied.forEach(description => shardMigrations.add(description));
+  }
+
+  applied.push(`v${LEGACY_SYNC_STATE_VERSION} → v${LEGACY_SYNC_STATE_VERSION + 1}: split into ${Object.keys(shards).length} per-sport shards`);
+  applied.push(...shardMigrations);
+  return { shards, applied };
+}
+
+/**
+ * 驗證同步狀態分片是否符合目前版本的結構
+ * @param {Object} shard - 同步狀態分片
+ * @returns {Array<string>} 錯誤訊息 (符合時為空陣列)
+ */
+export function validateSyncState(shard) {
+  const errors = [];
+  const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+  const isNullableString = value => value === null || typeof value === 'string';
+
+  if (!isObject(shard)) {
+    return ['sync state must be an object'];
+  }
+  if (shard.version !== SYNC_STATE_VERSION) {
+    errors.push(`version must be ${SYNC_STATE_VERSION}`);
+  }
+  if (typeof shard.sportId !== 'string' || !shard.sportId) {
+    errors.push('sportId must be a non-empty string');
+  }
+  if (!isNullableString(shard.lastSync)) {
+    errors.push('lastSync must be a string or null');
+  }
+  if (!isObject(shard.stats)) {
+    errors.push('stats must be an object');
+  }
+  if (!isObject(shard.calendars)) {
+    errors.push('calendars must be an object');
+    return errors;
+  }
+
+  for (const [segmentKey, calendarState] of Object.entries(shard.calendars)) {
+    errors.push(...validateCalendarSyncState(calendarState, `calendars.${segmentKey}`));
+  }
+
+  return errors;
+}
+
+/**
+ * 驗證單一日曆的同步狀態
+ * @param {Object} calendarState - { calendarId, events, pendingWrites }
+ * @param {string} path - 錯誤訊息中的路徑
+ * @returns {Array<string>} 錯誤訊息
+ */
+function validateCalendarSyncState(calendarState, path) {
+  const errors = [];
+  const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+  const isNullableString = value => value === null || typeof value === 'string';
+
+  if (!isObject(calendarState)) {
+    return [`${path} must be an object`];
+  }
+  if (!isNullableString(calendarState.calendarId)) {
+    errors.push(`${path}.calendarId must be a string or null`);
+  }
+  if (!isObject(calendarState.pendingWrites)) {
+    errors.push(`${path}.pendingWrites must be an object`);
+  } else {
+    for (const [eventId, pendingWrite] of Object.entries(calendarState.pendingWrites)) {
+      const prefix = `${path}.pendingWrites.${eventId}`;
+      if (!isObject(pendingWrite) || !PENDING_WRITE_TYPES.includes(pendingWrite.type)) {
+        errors.push(`${prefix}.type must be one of ${PENDING_WRITE_TYPES.join(', ')}`);
+        continue;
+      }
+      if (!Number.isInteger(pendingWrite.attempts)) {
+        errors.push(`${prefix}.attempts must be an integer`);
+      }
+      if (typeof pendingWrite.lastAttempt !== 'string') {
+        errors.push(`${prefix}.lastAttempt must be a string`);
+      }
+    }
+  }
+  if (!isObject(calendarState.events)) {
+    errors.push(`${path}.events must be an object`);
+    return errors;
+  }
+
+  for (const [eventId, syncData] of Object.entries(calendarState.events)) {
+    const prefix = `${path}.events.${eventId}`;
+    if (!isObject(syncData)) {
+      errors.push(`${prefix} must be an object`);
+      continue;
+    }
+    if (typeof syncData.googleEventId !== 'string' || !syncData.googleEventId) {
+      errors.push(`${prefix}.googleEventId must be a non-empty string`);
+    }
+    if (!isNullableString(syncData.calendarId)) {
+      errors.push(`${prefix}.calendarId must be a string or null`);
+    }
+    if (typeof syncData.hash !== 'string') {
+      errors.push(`${prefix}.hash must be a string`);
+    }
+    if (!Number.isInteger(syncData.hashVersion)) {
+      errors.push(`${prefix}.hashVersion must be an integer`);
+    }
+    if (syncData.renderHash !== undefined && typeof syncData.renderHash !== 'string') {
+      errors.push(`${prefix}.renderHash must be a string`);
+    }
+    if (syncData.fields !== undefined && !isObject(syncData.fields)) {
+      errors.push(`${prefix}.fields must be an object`);
+    }
+    if (typeof syncData.lastSynced !== 'string') {
+      errors.push(`${prefix}.lastSynced must be a string`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * 驗證同步狀態分片,不符合時拋出 code 為 SYNC_STATE_INVALID 的錯誤
+ * @param {Object} shard - 同步狀態分片
+ */
+export function assertValidSyncState(shard) {
+  const errors = validateSyncState(shard);
+
+  if (errors.length > 0) {
+    const shown = errors.slice(0, 10).join('; ');
+    const more = errors.length > 10 ? ` (and ${errors.length - 10} more)` : '';
+    const label = typeof shard?.sportId === 'string' ? ` for ${shard.sportId}` : '';
+    const error = createSyncStateError('SYNC_STATE_INVALID', `Invalid sync state${label}: ${shown}${more}`);
+    error.errors = errors;
+    throw error;
+  }
+}
@@ -0,0 +1,28 @@
+/**
+ * Changelog 的欄位比對 (diffEvents)
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { diffEvents } from '../src/utils/changelog.js';
+
+const EVENT = {
+  id: 'bwf-5222-BD7DDFAC',
+  name: 'PETRONAS Malaysia Open 2025',
+  dateStart: '2025-01-07T00:00:00.000Z',
+  dateEnd: '2025-01-12T00:00:00.000Z'
+};
+
+describe('diffEvents', () => {
+  it('does not report a missing status becoming the default status', () => {
+    const diff = diffEvents([EVENT], [{ ...EVENT, status: 'scheduled' }]);
+
+    assert.deepEqual(diff.changed, []);
+  });
+
+  it('reports a status change away from the default', () => {
+    const diff = diffEvents([EVENT], [{ ...EVENT, status: 'cancelled' }]);
+
+    assert.deepEqual(diff.changed[0].changes, [{ field: 'status', from: 'scheduled', to: 'cancelled' }]);
+  });
+});
@@ -0,0 +1,64 @@
+/**
+ * 大量刪除保護 (checkDeletionGuard) 的上限判斷
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkDeletionGuard } from '../src/utils/deletionGuard.js';
+
+const ENV_KEYS = ['SYNC_MAX_DELETES', 'SYNC_MAX_DELETE_RATIO', 'SYNC_MIN_DELETES_FOR_RATIO'];
+
+/**
+ * 建立只含數量的同步計畫
+ * @param {number} keepCount - 保留 (非刪除) 的事件數
+ * @param {number} deleteCount - 刪除的事件數
+ * @returns {Object} 同步計畫
+ */
+function createPlan(keepCount, deleteCount) {
+  const actions = [
+    ...Array.from({ length: keepCount }, (_, i) => ({ type: 'unchanged', eventId: `keep-${i}` })),
+    ...Array.from({ length: deleteCount }, (_, i) => ({ type: 'delete', eventId: `delete-${i}` }))
+  ];
+  return { sportId: 'bwf', segment: 'majors', actions, summary: { delete: deleteCount } };
+}
+
+describe('checkDeletionGuard', () => {
+  let saved;
+
+  before(() => {
+    saved = Object.fromEntries(ENV_KEYS.map(key => [key, process.env[key]]));
+    for (const key of ENV_KEYS) delete process.env[key];
+  });
+
+  after(() => {
+    for (const [key, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+  });
+
+  it('allows a few deletions from a small calendar even above the ratio', () => {
+    const guard = checkDeletionGuard(createPlan(6, 2), 8);
+
+    assert.equal(guard.blocked, false);
+    assert.equal(guard.ratio, 0.25);
+  });
+
+  it('applies the ratio once deletions reach SYNC_MIN_DELETES_FOR_RATIO', () => {
+    assert.equal(checkDeletionGuard(createPlan(7, 5), 12).blocked, true);
+
+    process.env.SYNC_MIN_DELETES_FOR_RATIO = '6';
+    try {
+      assert.equal(checkDeletionGuard(createPlan(7, 5), 12).blocked, false);
+    } finally {
+      delete process.env.SYNC_MIN_DELETES_FOR_RATIO;
+    }
+  });
+
+  it('still blocks any deletion when there are no local events', () => {
+    const guard = checkDeletionGuard(createPlan(0, 1), 1);
+
+    assert.equal(guard.blocked, true);
+    assert.match(guard.reasons[0], /no local events/);
+  });
+});
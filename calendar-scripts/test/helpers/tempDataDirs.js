@@ -0,0 +1,56 @@
+/**
+ * 測試用的暫存資料目錄: 讓 main() 與同步服務寫入暫存目錄,不修改提交的 public/data 與 calendar-scripts/data
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { mock } from 'node:test';
+
+// 測試會改寫的環境變數 (結束時還原)
+const ENV_KEYS = [
+  'CALENDAR_DATA_DIR',
+  'PUBLIC_DATA_DIR',
+  'FIXTURE_MODE',
+  'FIXTURE_DIR',
+  'STORAGE_BACKEND',
+  'STORAGE_PURGE_AFTER_MISSING_RUNS',
+  'FORCE_SYNC',
+  'SYNC_DRY_RUN',
+  'SYNC_FORCE_DELETES',
+  'SYNC_MAX_DELETES',
+  'SYNC_MAX_DELETE_RATIO',
+  'SYNC_MIN_DELETES_FOR_RATIO',
+  'SYNC_DELETE_UNSTAMPED_DUPLICATES'
+];
+
+/**
+ * 建立暫存資料目錄並將環境變數指向它 (同時隱藏 console.log / console.warn 的輸出)
+ * @returns {Promise<Object>} { root, stateDir, publicDir, fixtureDir, cleanup }
+ */
+export async function useTempDataDirs() {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), 'calendar-scripts-test-'));
+  const saved = Object.fromEntries(ENV_KEYS.map(key => [key, process.env[key]]));
+
+  for (const key of ENV_KEYS) delete process.env[key];
+  process.env.CALENDAR_DATA_DIR = path.join(root, 'data');
+  process.env.PUBLIC_DATA_DIR = path.join(root, 'public');
+  process.env.STORAGE_BACKEND = 'json';
+
+  const silenced = [mock.method(console, 'log', () => {}), mock.method(console, 'warn', () => {})];
+
+  return {
+    root,
+    stateDir: process.env.CALENDAR_DATA_DIR,
+    publicDir: process.env.PUBLIC_DATA_DIR,
+    fixtureDir: path.join(root, 'fixtures'),
+    async cleanup() {
+      for (const silencedMethod of silenced) silencedMethod.mock.restore();
+      for (const [key, value] of Object.entries(saved)) {
+        if (value === undefined) delete process.env[key];
+        else process.env[key] = value;
+      }
+      await fs.rm(root, { recursive: true, force: true });
+    }
+  };
+}
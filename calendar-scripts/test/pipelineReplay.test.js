@@ -0,0 +1,98 @@
+/**
+ * 以錄製的 BWF 回應 (test/fixtures) 重播完整流程 main(),同步到 MemoryCalendarProvider
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { main } from '../src/index.js';
+import { createCalendarProvider } from '../src/providers/providerFactory.js';
+import { useTempDataDirs } from './helpers/tempDataDirs.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const FIXTURE_FILE = path.join(__dirname, 'fixtures/bwf/season-2025.json');
+
+// fixture 中的賽事: 6 場,其中 2 場為 Super 750 / 1000 (majors 日曆)
+const FIXTURE_EVENTS = 6;
+const FIXTURE_MAJORS = 2;
+
+/**
+ * 將 fixture (可移除部分賽事) 寫入重播目錄
+ * @param {string} fixtureDir - 重播目錄
+ * @param {Function} filter - 保留的賽事 (可選)
+ */
+async function writeReplayFixture(fixtureDir, filter = () => true) {
+  const fixture = JSON.parse(await fs.readFile(FIXTURE_FILE, 'utf-8'));
+  for (const month of fixture.results) {
+    month.tournaments = month.tournaments.filter(filter);
+  }
+
+  await fs.mkdir(path.join(fixtureDir, 'bwf'), { recursive: true });
+  await fs.writeFile(path.join(fixtureDir, 'bwf/season-2025.json'), JSON.stringify(fixture, null, 2));
+}
+
+describe('main() replaying recorded BWF fixtures', () => {
+  let dirs;
+  const provider = createCalendarProvider('memory');
+
+  before(async () => {
+    dirs = await useTempDataDirs();
+    process.env.FIXTURE_MODE = 'replay';
+    process.env.FIXTURE_DIR = dirs.fixtureDir;
+    await writeReplayFixture(dirs.fixtureDir);
+  });
+
+  after(async () => {
+    await dirs.cleanup();
+  });
+
+  it('creates every event on the first run', async () => {
+    const result = await main(['bwf'], { calendarProvider: provider });
+
+    assert.equal(result.success, true);
+    assert.equal(result.results.bwf.calendars.all.stats.created, FIXTURE_EVENTS);
+    assert.equal(result.results.bwf.calendars.majors.stats.created, FIXTURE_MAJORS);
+    assert.equal(result.results.bwf.stats.deleted, 0);
+
+    const yearFile = JSON.parse(await fs.readFile(path.join(dirs.publicDir, 'bwf/2025.json'), 'utf-8'));
+    assert.equal(yearFile.events.length, FIXTURE_EVENTS);
+  });
+
+  it('skips an unchanged source and leaves every event unchanged when forced', async () => {
+    const skipped = await main(['bwf'], { calendarProvider: provider });
+    assert.deepEqual(skipped.results.bwf, { skipped: 'unchanged' });
+
+    process.env.FORCE_SYNC = 'true';
+    try {
+      const result = await main(['bwf'], { calendarProvider: provider });
+
+      assert.equal(result.success, true);
+      assert.equal(result.results.bwf.stats.unchanged, FIXTURE_EVENTS + FIXTURE_MAJORS);
+      assert.equal(result.results.bwf.stats.created, 0);
+      assert.equal(result.results.bwf.stats.updated, 0);
+      assert.equal(result.results.bwf.stats.deleted, 0);
+    } finally {
+      delete process.env.FORCE_SYNC;
+    }
+  });
+
+  it('deletes an event that disappeared from the source once it is purged', async () => {
+    await writeReplayFixture(dirs.fixtureDir, tournament => !tournament.category.endsWith('Super 500'));
+    process.env.STORAGE_PURGE_AFTER_MISSING_RUNS = '1';
+    try {
+      const result = await main(['bwf'], { calendarProvider: provider });
+
+      assert.equal(result.success, true);
+      assert.equal(result.results.bwf.calendars.all.stats.deleted, 1);
+      assert.equal(result.results.bwf.calendars.all.stats.unchanged, FIXTURE_EVENTS - 1);
+      assert.equal(result.results.bwf.calendars.majors.stats.unchanged, FIXTURE_MAJORS);
+
+      const calendarId = result.results.bwf.calendars.all.calendarId;
+      assert.equal((await provider.listEvents(calendarId)).length, FIXTURE_EVENTS - 1);
+    } finally {
+      delete process.env.STORAGE_PURGE_AFTER_MISSING_RUNS;
+    }
+  });
+});
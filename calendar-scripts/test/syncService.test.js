@@ -0,0 +1,125 @@
+/**
+ * syncWithCalendar 同步到 MemoryCalendarProvider (建立、更新、消失賽事的移除、大量刪除保護與遺失同步狀態後的 reconcile)
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { syncWithCalendar } from '../src/services/syncService.js';
+import { createCalendarProvider } from '../src/providers/providerFactory.js';
+import { closeStorage } from '../src/storage/storageFactory.js';
+import { useTempDataDirs } from './helpers/tempDataDirs.js';
+
+/**
+ * 建立標準化賽事 (Super 750 / 1000 屬於 majors 日曆)
+ * @param {number} index - 賽事序號
+ * @param {string} level - 賽事等級
+ * @returns {Object} 標準化賽事
+ */
+function createEvent(index, level = 'Super 300') {
+  const day = String(index + 1).padStart(2, '0');
+  return {
+    id: `bwf-${5200 + index}-TEST${index}`,
+    name: `Test Open ${index} 2025`,
+    dateStart: `2025-03-${day}T00:00:00.000Z`,
+    dateEnd: `2025-03-${day}T00:00:00.000Z`,
+    location: { city: 'Taipei', country: 'Chinese Taipei', venue: 'Taipei Arena' },
+    category: 'HSBC BWF World Tour',
+    level,
+    url: `https://bwfbadminton.com/tournament/${5200 + index}/`,
+    status: 'scheduled'
+  };
+}
+
+/**
+ * 取得日曆上的事件 (依名稱找日曆)
+ * @param {Object} provider - MemoryCalendarProvider
+ * @param {string} pattern - 日曆名稱需包含的文字
+ * @returns {Promise<Array>} 事件
+ */
+async function listCalendarEvents(provider, pattern) {
+  const calendar = [...provider.calendars.values()].find(entry => entry.summary.includes(pattern));
+  return provider.listEvents(calendar.id);
+}
+
+describe('syncWithCalendar with the memory provider', () => {
+  let dirs;
+  let provider;
+
+  beforeEach(async () => {
+    dirs = await useTempDataDirs();
+    provider = createCalendarProvider('memory');
+  });
+
+  afterEach(async () => {
+    await closeStorage();
+    await dirs.cleanup();
+  });
+
+  it('creates every event in its calendars without touching the calendar registry', async () => {
+    const events = [createEvent(0), createEvent(1), createEvent(2, 'Super 1000')];
+
+    const result = await syncWithCalendar(provider, 'bwf', events);
+
+    assert.equal(result.calendars.all.stats.created, 3);
+    assert.equal(result.calendars.majors.stats.created, 1);
+    assert.equal((await listCalendarEvents(provider, 'Major')).length, 1);
+    await assert.rejects(fs.access(path.join(dirs.publicDir, 'calendars.json')), { code: 'ENOENT' });
+  });
+
+  it('updates only the changed event', async () => {
+    const events = [createEvent(0), createEvent(1)];
+    await syncWithCalendar(provider, 'bwf', events);
+
+    const changed = [events[0], { ...events[1], name: 'Renamed Open 2025' }];
+    const result = await syncWithCalendar(provider, 'bwf', changed);
+
+    assert.equal(result.calendars.all.stats.updated, 1);
+    assert.equal(result.calendars.all.stats.unchanged, 1);
+    const remote = await listCalendarEvents(provider, 'Badminton');
+    assert.ok(remote.some(event => event.summary === 'Renamed Open 2025'));
+  });
+
+  it('keeps a missing event until it is purged, then deletes it', async () => {
+    const events = [createEvent(0), createEvent(1), createEvent(2)];
+    await syncWithCalendar(provider, 'bwf', events);
+
+    const missing = [events[0], events[1], { ...events[2], missingSince: '2025-03-10T00:00:00.000Z' }];
+    const kept = await syncWithCalendar(provider, 'bwf', missing);
+    assert.equal(kept.calendars.all.stats.missing, 1);
+    assert.equal(kept.calendars.all.stats.deleted, 0);
+
+    const purged = await syncWithCalendar(provider, 'bwf', [events[0], events[1]]);
+    assert.equal(purged.calendars.all.stats.deleted, 1);
+    assert.equal((await listCalendarEvents(provider, 'Badminton')).length, 2);
+  });
+
+  it('aborts without deleting anything when the deletion guard blocks', async t => {
+    t.mock.method(console, 'error', () => {});
+    const events = Array.from({ length: 6 }, (_, index) => createEvent(index));
+    await syncWithCalendar(provider, 'bwf', events);
+    const writes = provider.calls.length;
+
+    await assert.rejects(syncWithCalendar(provider, 'bwf', events.slice(0, 1)), { code: 'MASS_DELETION_BLOCKED' });
+
+    assert.equal(provider.calls.length, writes);
+    assert.equal((await listCalendarEvents(provider, 'Badminton')).length, 6);
+  });
+
+  it('adopts the calendar events instead of creating duplicates after the sync state is lost', async () => {
+    const events = [createEvent(0), createEvent(1), createEvent(2, 'Super 750')];
+    await syncWithCalendar(provider, 'bwf', events);
+
+    await closeStorage();
+    await fs.rm(path.join(dirs.stateDir, 'sync-state'), { recursive: true, force: true });
+
+    const result = await syncWithCalendar(provider, 'bwf', events);
+
+    assert.equal(result.stats.created, 0);
+    assert.equal(result.calendars.all.stats.adopted, 3);
+    assert.equal(result.calendars.majors.stats.adopted, 1);
+    assert.equal((await listCalendarEvents(provider, 'Badminton')).length, 3);
+    assert.equal((await listCalendarEvents(provider, 'Major')).length, 1);
+  });
+});
@@ -0,0 +1,21 @@
+import js from '@eslint/js';
+import globals from 'globals';
+
+// calendar-scripts 的 lint 設定 (Node.js ESM),前端由 vue-tsc 檢查
+export default [
+  js.configs.recommended,
+  {
+    files: ['calendar-scripts/**/*.js'],
+    languageOptions: {
+      ecmaVersion: 'latest',
+      sourceType: 'module',
+      globals: {
+        ...globals.node
+      }
+    },
+    rules: {
+      // Provider / client 介面的參數不一定都會用到;以解構移除欄位時忽略被移除的變數
+      'no-unused-vars': ['error', { args: 'none', caughtErrors: 'none', ignoreRestSiblings: true }]
+    }
+  }
+];